@@ -2,405 +2,3443 @@
   "use strict";
   const hederaAPI = EXPORTS;
 
-  // API Configuration - Mainnet Only
-  const NETWORK_CONFIG = {
-    mirrorNode: 'https://mainnet-public.mirrornode.hedera.com',
-    jsonRpcRelay: 'https://mainnet.hashio.io/api',
-    chainId: 295, // Hedera Mainnet
-    explorer: 'https://hashscan.io/mainnet'
+  // Network Configuration
+  const NETWORKS = {
+    mainnet: {
+      name: 'mainnet',
+      label: 'Mainnet',
+      mirrorNode: 'https://mainnet-public.mirrornode.hedera.com',
+      // Tried in order when the previous mirror node keeps failing
+      mirrorNodes: [
+        'https://mainnet-public.mirrornode.hedera.com',
+        'https://mainnet.mirrornode.hedera.com'
+      ],
+      jsonRpcRelay: 'https://mainnet.hashio.io/api',
+      // gRPC-web proxies of consensus nodes, used for native transactions
+      consensusNodes: [
+        { url: 'https://node00.swirldslabs.com:443', accountId: '0.0.3' },
+        { url: 'https://node02.swirldslabs.com:443', accountId: '0.0.5' },
+        { url: 'https://node03.swirldslabs.com:443', accountId: '0.0.6' }
+      ],
+      chainId: 295, // Hedera Mainnet
+      explorer: 'https://hashscan.io/mainnet'
+    },
+    testnet: {
+      name: 'testnet',
+      label: 'Testnet',
+      mirrorNode: 'https://testnet.mirrornode.hedera.com',
+      mirrorNodes: ['https://testnet.mirrornode.hedera.com'],
+      jsonRpcRelay: 'https://testnet.hashio.io/api',
+      consensusNodes: [
+        { url: 'https://testnet-node00-00-grpc.hedera.com:443', accountId: '0.0.3' },
+        { url: 'https://testnet-node01-00-grpc.hedera.com:443', accountId: '0.0.4' },
+        { url: 'https://testnet-node02-00-grpc.hedera.com:443', accountId: '0.0.5' }
+      ],
+      chainId: 296, // Hedera Testnet
+      explorer: 'https://hashscan.io/testnet'
+    },
+    previewnet: {
+      name: 'previewnet',
+      label: 'Previewnet',
+      mirrorNode: 'https://previewnet.mirrornode.hedera.com',
+      mirrorNodes: ['https://previewnet.mirrornode.hedera.com'],
+      jsonRpcRelay: 'https://previewnet.hashio.io/api',
+      consensusNodes: [
+        { url: 'https://previewnet-node00-00-grpc.hedera.com:443', accountId: '0.0.3' },
+        { url: 'https://previewnet-node01-00-grpc.hedera.com:443', accountId: '0.0.4' }
+      ],
+      chainId: 297, // Hedera Previewnet
+      explorer: 'https://hashscan.io/previewnet'
+    }
+  };
+
+  // Defaults offered for a hedera-local-node stack
+  const LOCAL_NODE_PRESET = {
+    mirrorNode: 'http://localhost:5551',
+    jsonRpcRelay: 'http://localhost:7546',
+    consensusNode: 'http://localhost:8080', // Envoy gRPC-web proxy
+    nodeAccountId: '0.0.3',
+    chainId: 298, // Hedera local node
+    explorer: ''
   };
 
+  const DEFAULT_NETWORK = 'mainnet';
+  const NETWORK_STORAGE_KEY = 'hederaNetwork';
+  const CUSTOM_NETWORK_STORAGE_KEY = 'hederaCustomNetwork';
+
+  const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+  const IPFS_GATEWAY_STORAGE_KEY = 'hederaIpfsGateway';
+
+  // localStorage is unavailable outside the browser, so every access is guarded
+  function readStorage(key) {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      if (typeof localStorage === 'undefined') return;
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+    } catch (e) {
+      console.warn(`Could not persist ${key}:`, e);
+    }
+  }
+
+  /**
+   * Normalize user supplied endpoints into a network configuration
+   * @param {Object} endpoints - { mirrorNode, jsonRpcRelay, chainId, explorer, consensusNode, nodeAccountId }
+   *   mirrorNode may hold several comma separated URLs, tried in order;
+   *   consensusNode is an optional gRPC-web proxy for native transactions
+   * @returns {Object} - Custom network configuration
+   */
+  function buildCustomNetwork(endpoints) {
+    const cleanUrl = (value, label, required) => {
+      const url = (value || '').trim().replace(/\/+$/, '');
+      if (!url) {
+        if (required) throw new Error(`${label} URL is required`);
+        return '';
+      }
+      if (!/^https?:\/\/[^\s]+$/i.test(url)) {
+        throw new Error(`Invalid ${label} URL: ${url}`);
+      }
+      return url;
+    };
+
+    const chainId = parseInt(endpoints.chainId, 10);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error('Chain ID must be a positive integer');
+    }
+
+    const mirrorList = Array.isArray(endpoints.mirrorNodes) && endpoints.mirrorNodes.length > 0
+      ? endpoints.mirrorNodes
+      : (endpoints.mirrorNode || '').split(',');
+    const mirrorNodes = mirrorList
+      .map(url => cleanUrl(url, 'Mirror node', false))
+      .filter(Boolean);
+    if (mirrorNodes.length === 0) {
+      throw new Error('Mirror node URL is required');
+    }
+
+    const consensusNode = cleanUrl(endpoints.consensusNode, 'Consensus node', false);
+    const nodeAccountId = (endpoints.nodeAccountId || '0.0.3').trim();
+    if (consensusNode && !/^\d+\.\d+\.\d+$/.test(nodeAccountId)) {
+      throw new Error(`Invalid node account ID: ${nodeAccountId}`);
+    }
+
+    return {
+      name: 'custom',
+      label: 'Custom',
+      mirrorNode: mirrorNodes[0],
+      mirrorNodes: mirrorNodes,
+      jsonRpcRelay: cleanUrl(endpoints.jsonRpcRelay, 'JSON-RPC relay', true),
+      consensusNodes: consensusNode ? [{ url: consensusNode, accountId: nodeAccountId }] : [],
+      chainId: chainId,
+      explorer: cleanUrl(endpoints.explorer, 'Explorer', false)
+    };
+  }
+
+  // Restore saved custom endpoints, if any
+  function loadStoredCustomNetwork() {
+    const stored = readStorage(CUSTOM_NETWORK_STORAGE_KEY);
+    if (!stored) return;
+    try {
+      NETWORKS.custom = buildCustomNetwork(JSON.parse(stored));
+    } catch (e) {
+      console.warn('Ignoring invalid custom network settings:', e);
+    }
+  }
+
+  // Restore the last selected network
+  function loadStoredNetwork() {
+    const stored = readStorage(NETWORK_STORAGE_KEY);
+    return NETWORKS[stored] ? stored : DEFAULT_NETWORK;
+  }
+
+  loadStoredCustomNetwork();
+  let currentNetwork = loadStoredNetwork();
+
   /**
    * Get network configuration
    */
   function getNetworkConfig() {
-    return NETWORK_CONFIG;
+    return NETWORKS[currentNetwork];
   }
 
+  hederaAPI.getNetworkConfig = getNetworkConfig;
 
   /**
-   * Get account balance using Hedera Mirror Node API
-   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
-   * @returns {Promise<Object>} - Balance information
+   * List the selectable networks
+   * @returns {Array<Object>} - Network configurations
    */
-  hederaAPI.getBalance = async function(address) {
-    try {
-      const config = getNetworkConfig();
-      
-      // Clean address
-      address = address.trim();
-      
-      // Determine if it's an EVM address or Account ID
-      let endpoint;
-      if (address.startsWith('0x')) {
-        // EVM address format
-        endpoint = `${config.mirrorNode}/api/v1/accounts/${address}`;
-      } else if (address.match(/^\d+\.\d+\.\d+$/)) {
-        // Account ID format (0.0.xxxx)
-        endpoint = `${config.mirrorNode}/api/v1/accounts/${address}`;
-      } else {
-        throw new Error('Invalid address format. Use EVM address (0x...) or Account ID (0.0.xxxx)');
+  hederaAPI.getNetworks = function() {
+    return Object.values(NETWORKS);
+  };
+
+  /**
+   * Switch the active network and remember the choice
+   * @param {string} name - Network name (mainnet, testnet, previewnet, custom)
+   * @returns {Object} - Configuration of the selected network
+   */
+  hederaAPI.setNetwork = function(name) {
+    if (!NETWORKS[name]) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+    currentNetwork = name;
+    writeStorage(NETWORK_STORAGE_KEY, name);
+    return getNetworkConfig();
+  };
+
+  /**
+   * Get the saved custom endpoints
+   * @returns {Object|null} - Custom network configuration or null if none is saved
+   */
+  hederaAPI.getCustomNetwork = function() {
+    return NETWORKS.custom || null;
+  };
+
+  /**
+   * Endpoints of a hedera-local-node stack, used to prefill the settings form
+   * @returns {Object} - { mirrorNode, jsonRpcRelay, consensusNode, nodeAccountId, chainId, explorer }
+   */
+  hederaAPI.getLocalNodePreset = function() {
+    return { ...LOCAL_NODE_PRESET };
+  };
+
+  /**
+   * Check that a mirror node and a JSON-RPC relay are reachable
+   * @param {Object} endpoints - { mirrorNode, jsonRpcRelay, chainId }
+   * @returns {Promise<Object>} - Health check result for each endpoint
+   */
+  hederaAPI.checkEndpoints = async function(endpoints) {
+    const config = buildCustomNetwork(endpoints);
+    const result = {
+      ok: false,
+      mirrorNode: { ok: false, error: null },
+      jsonRpcRelay: { ok: false, chainId: null, error: null }
+    };
+
+    // Every mirror node in the failover list has to answer
+    const mirrorErrors = [];
+    for (const mirrorNode of config.mirrorNodes) {
+      try {
+        const response = await fetchWithTimeout(`${mirrorNode}/api/v1/blocks?limit=1&order=desc`);
+        if (!response.ok) {
+          throw new Error(`API Error: ${response.status}`);
+        }
+        const data = await response.json();
+        if (!Array.isArray(data.blocks)) {
+          throw new Error('Unexpected response, is this a mirror node?');
+        }
+        if (result.mirrorNode.latestBlock == null) {
+          result.mirrorNode.latestBlock = data.blocks.length > 0 ? data.blocks[0].number : null;
+        }
+      } catch (error) {
+        mirrorErrors.push(config.mirrorNodes.length > 1 ? `${mirrorNode}: ${error.message}` : error.message);
       }
+    }
+    result.mirrorNode.ok = mirrorErrors.length === 0;
+    result.mirrorNode.error = mirrorErrors.length > 0 ? mirrorErrors.join('; ') : null;
 
-      const response = await fetch(endpoint);
-      
+    try {
+      const response = await fetchWithTimeout(config.jsonRpcRelay, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+      });
       if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Account not found. Make sure the account exists on the network.');
+        throw new Error(`RPC Error: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.error || !data.result) {
+        throw new Error(data.error ? data.error.message : 'Unexpected response, is this a JSON-RPC relay?');
+      }
+      const relayChainId = parseInt(data.result, 16);
+      result.jsonRpcRelay.chainId = relayChainId;
+      if (relayChainId !== config.chainId) {
+        throw new Error(`Relay reports chain ID ${relayChainId}, expected ${config.chainId}`);
+      }
+      result.jsonRpcRelay.ok = true;
+    } catch (error) {
+      result.jsonRpcRelay.error = error.message;
+    }
+
+    result.ok = result.mirrorNode.ok && result.jsonRpcRelay.ok;
+    return result;
+  };
+
+  /**
+   * Save custom endpoints after a successful health check and select them
+   * @param {Object} endpoints - { mirrorNode, jsonRpcRelay, chainId, explorer, consensusNode, nodeAccountId }
+   * @returns {Promise<Object>} - { config, health }
+   */
+  hederaAPI.setCustomNetwork = async function(endpoints) {
+    const config = buildCustomNetwork(endpoints);
+    const health = await hederaAPI.checkEndpoints(config);
+
+    if (!health.ok) {
+      const problems = [];
+      if (!health.mirrorNode.ok) problems.push(`Mirror node: ${health.mirrorNode.error}`);
+      if (!health.jsonRpcRelay.ok) problems.push(`JSON-RPC relay: ${health.jsonRpcRelay.error}`);
+      const error = new Error(`Endpoint check failed. ${problems.join('; ')}`);
+      error.health = health;
+      throw error;
+    }
+
+    NETWORKS.custom = config;
+    responseCache.clear();
+    writeStorage(CUSTOM_NETWORK_STORAGE_KEY, JSON.stringify({
+      mirrorNodes: config.mirrorNodes,
+      jsonRpcRelay: config.jsonRpcRelay,
+      chainId: config.chainId,
+      explorer: config.explorer,
+      consensusNode: config.consensusNodes.length > 0 ? config.consensusNodes[0].url : '',
+      nodeAccountId: config.consensusNodes.length > 0 ? config.consensusNodes[0].accountId : ''
+    }));
+    hederaAPI.setNetwork('custom');
+
+    return { config, health };
+  };
+
+  /**
+   * Forget the custom endpoints, falling back to mainnet if they were active
+   */
+  hederaAPI.clearCustomNetwork = function() {
+    delete NETWORKS.custom;
+    writeStorage(CUSTOM_NETWORK_STORAGE_KEY, null);
+    if (currentNetwork === 'custom') {
+      hederaAPI.setNetwork(DEFAULT_NETWORK);
+    }
+  };
+
+  /**
+   * Build a HashScan link for the active network
+   * @param {string} type - Entity type (transaction, account, token, ...)
+   * @param {string} id - Entity ID or hash
+   * @returns {string|null} - Explorer URL, or null if the network has no explorer
+   */
+  hederaAPI.getExplorerUrl = function(type, id) {
+    const explorer = getNetworkConfig().explorer;
+    return explorer ? `${explorer}/${type}/${id}` : null;
+  };
+
+
+  // Mirror node request policy
+  const RETRY_CONFIG = {
+    maxRetries: 2,       // Retries per mirror node before failing over to the next one
+    baseDelay: 500,      // First backoff delay in ms, doubled on every retry
+    maxDelay: 8000,
+    timeout: 10000       // Per-request timeout in ms
+  };
+
+  const statusListeners = [];
+
+  // Last mirror node that answered, per network, so later requests skip a node that is down
+  const preferredMirror = {};
+
+  /**
+   * Subscribe to mirror node retry/failover events
+   * @param {Function} listener - Called with { type, endpoint, attempt, delay, reason }
+   *   where type is 'retry', 'failover', 'recovered' or 'failed'
+   * @returns {Function} - Unsubscribe function
+   */
+  hederaAPI.onRequestStatus = function(listener) {
+    statusListeners.push(listener);
+    return () => {
+      const index = statusListeners.indexOf(listener);
+      if (index !== -1) statusListeners.splice(index, 1);
+    };
+  };
+
+  function notifyStatus(status) {
+    statusListeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (e) {
+        console.warn('Request status listener failed:', e);
+      }
+    });
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * fetch() that aborts after a timeout
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options, plus timeout in ms
+   * @returns {Promise<Response>}
+   */
+  async function fetchWithTimeout(url, options = {}) {
+    const { timeout = RETRY_CONFIG.timeout, ...fetchOptions } = options;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${timeout / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Exponential backoff with jitter, honouring Retry-After on 429
+  function backoffDelay(attempt, response) {
+    const retryAfter = response && parseInt(response.headers.get('Retry-After'), 10);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, RETRY_CONFIG.maxDelay);
+    }
+    const delay = RETRY_CONFIG.baseDelay * Math.pow(2, attempt);
+    return Math.min(delay + Math.floor(Math.random() * RETRY_CONFIG.baseDelay), RETRY_CONFIG.maxDelay);
+  }
+
+  /**
+   * GET a mirror node path with retries, backoff and failover across mirror nodes.
+   * 5xx, 429, timeouts and network errors are retried; any other response is returned
+   * to the caller as-is so it can handle 404 and friends.
+   * @param {string} path - Path starting with /api/v1/...
+   * @param {Object} options - fetch options, plus timeout in ms
+   * @returns {Promise<Response>}
+   */
+  async function mirrorFetch(path, options = {}) {
+    const config = getNetworkConfig();
+    const configured = config.mirrorNodes || [config.mirrorNode];
+    const preferred = preferredMirror[config.name];
+    const endpoints = configured.includes(preferred)
+      ? [preferred, ...configured.filter(url => url !== preferred)]
+      : configured;
+    let lastError = null;
+    let hadTrouble = false;
+
+    for (let i = 0; i < endpoints.length; i++) {
+      const endpoint = endpoints[i];
+
+      for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+        let response = null;
+        try {
+          response = await fetchWithTimeout(`${endpoint}${path}`, options);
+          if (response.status !== 429 && response.status < 500) {
+            preferredMirror[config.name] = endpoint;
+            if (hadTrouble) {
+              notifyStatus({ type: 'recovered', endpoint });
+            }
+            return response;
+          }
+          lastError = new Error(`API Error: ${response.status} ${response.statusText}`);
+        } catch (error) {
+          lastError = error;
+        }
+
+        hadTrouble = true;
+        if (attempt < RETRY_CONFIG.maxRetries) {
+          const delay = backoffDelay(attempt, response);
+          notifyStatus({
+            type: 'retry',
+            endpoint,
+            attempt: attempt + 1,
+            maxRetries: RETRY_CONFIG.maxRetries,
+            delay,
+            reason: lastError.message
+          });
+          await sleep(delay);
         }
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+      }
+
+      if (i < endpoints.length - 1) {
+        notifyStatus({ type: 'failover', endpoint: endpoints[i + 1], reason: lastError.message });
+      }
+    }
+
+    notifyStatus({ type: 'failed', reason: lastError.message });
+    throw lastError;
+  }
+
+  // Response cache TTLs in ms, per endpoint kind
+  const CACHE_TTL = {
+    account: 15000,
+    history: 30000,
+    transaction: 10 * 60 * 1000, // Consensus records never change
+    tokens: 30000,
+    nfts: 30000,
+    tokenInfo: 60 * 60 * 1000, // Name, symbol and decimals are effectively static
+    rewards: 60000,
+    allowances: 30000,
+    contracts: 60 * 60 * 1000, // A contract's EVM address never changes
+    logs: 30000,
+    topics: 60000,
+    topicMessages: 10000,
+    schedules: 15000,
+    exchangeRate: 5 * 60 * 1000, // The network updates its rate hourly
+    nodes: 60 * 60 * 1000 // The address book changes rarely
+  };
+
+  // Upper bound on pages followed through links.next in one call
+  const MAX_PAGES = 20;
+
+  const responseCache = new Map();   // key -> { data, expires }
+  const inFlightRequests = new Map(); // key -> Promise, shared by concurrent callers
+  const accountAliases = new Map();  // account ID / EVM address -> Set of all identifiers of that account
+  let cachePersistence = null;
+
+  // Cache keys are scoped to the network and mirror node set in use
+  function cacheKey(path) {
+    const config = getNetworkConfig();
+    return `${config.name}|${config.mirrorNode}|${path}`;
+  }
+
+  /**
+   * Persist selected responses (account lookups, network nodes) so they can be shown before the network answers
+   * @param {Object|null} store - { get(key): Promise<Object>, set(key, value): Promise } or null to disable
+   */
+  hederaAPI.setCachePersistence = function(store) {
+    cachePersistence = store;
+  };
+
+  /**
+   * GET JSON from the mirror node through the response cache.
+   * Concurrent requests for the same path share one fetch, except that a fresh request always
+   * starts its own. Only the latest request for a path that was not invalidated meanwhile
+   * writes the cache. Non-OK responses throw an Error carrying the HTTP status and are never cached.
+   * @param {string} path - Path starting with /api/v1/...
+   * @param {Object} options - { ttl, fresh (skip cached data), persist (also save to persistence) }
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  async function mirrorGetJson(path, options = {}) {
+    const { ttl = 0, fresh = false, persist = false } = options;
+    const key = cacheKey(path);
+
+    if (ttl > 0 && !fresh) {
+      const cached = responseCache.get(key);
+      if (cached && cached.expires > Date.now()) {
+        return cached.data;
+      }
+    }
+
+    if (!fresh && inFlightRequests.has(key)) {
+      return inFlightRequests.get(key);
+    }
+
+    const request = (async () => {
+      const response = await mirrorFetch(path);
+      if (!response.ok) {
+        const error = new Error(`API Error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
       const data = await response.json();
-      
-      // Convert balance from tinybars to HBAR (1 HBAR = 100,000,000 tinybars)
-      const balanceInTinybars = parseInt(data.balance.balance);
-      const balanceInHbar = balanceInTinybars / 100000000;
+      // A newer request or invalidateCache replaced this one, so its data may predate a change
+      if (inFlightRequests.get(key) !== request) {
+        return data;
+      }
+      if (ttl > 0) {
+        responseCache.set(key, { data, expires: Date.now() + ttl });
+      }
+      if (persist && cachePersistence) {
+        cachePersistence.set(key, data).catch(e => console.warn('Could not persist response:', e));
+      }
+      return data;
+    })();
+
+    inFlightRequests.set(key, request);
+    try {
+      return await request;
+    } finally {
+      if (inFlightRequests.get(key) === request) {
+        inFlightRequests.delete(key);
+      }
+    }
+  }
+
+  // Remember that an account ID and EVM address belong together, so invalidating one clears both
+  function rememberAccountAliases(...identifiers) {
+    const ids = identifiers.filter(Boolean).map(id => id.toLowerCase());
+    const merged = new Set(ids);
+    ids.forEach(id => (accountAliases.get(id) || []).forEach(alias => merged.add(alias)));
+    merged.forEach(id => accountAliases.set(id, merged));
+  }
+
+  /**
+   * Drop cached responses, and detach requests still in flight so they cannot cache what they return
+   * @param {string|Array<string>} [addresses] - Accounts whose data changed; omit to clear everything
+   */
+  hederaAPI.invalidateCache = function(addresses) {
+    if (!addresses) {
+      responseCache.clear();
+      inFlightRequests.clear();
+      return;
+    }
+
+    const ids = new Set();
+    [].concat(addresses).filter(Boolean).forEach(address => {
+      const id = address.trim().toLowerCase();
+      ids.add(id);
+      (accountAliases.get(id) || []).forEach(alias => ids.add(alias));
+    });
+
+    const matches = key => {
+      const path = key.toLowerCase();
+      for (const id of ids) {
+        const index = path.indexOf(`/accounts/${id}`);
+        const next = path.charAt(index + `/accounts/${id}`.length);
+        if (index !== -1 && (next === '' || next === '?' || next === '/')) {
+          return true;
+        }
+      }
+      return false;
+    };
+    [responseCache, inFlightRequests].forEach(map => {
+      for (const key of [...map.keys()]) {
+        if (matches(key)) map.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Format an integer token amount with the given number of decimals, without float rounding
+   * @param {string|number} amount - Amount in the token's smallest unit
+   * @param {number} decimals - Token decimals
+   * @returns {string} - Decimal string, e.g. "12.5"
+   */
+  function formatUnits(amount, decimals) {
+    let value = BigInt(amount);
+    const negative = value < 0n;
+    if (negative) value = -value;
+
+    const digits = value.toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return (negative ? '-' : '') + whole + (fraction ? '.' + fraction : '');
+  }
+
+  hederaAPI.formatUnits = formatUnits;
+
+  // Run fn over items with at most `limit` requests in flight
+  async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    });
+    await Promise.all(workers);
+    return results;
+  }
 
+  /**
+   * Get token metadata (name, symbol, decimals, type)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @returns {Promise<Object>} - Token information
+   */
+  hederaAPI.getTokenInfo = async function(tokenId) {
+    try {
+      const data = await mirrorGetJson(`/api/v1/tokens/${tokenId}`, { ttl: CACHE_TTL.tokenInfo });
       return {
-        address: address,
-        accountId: data.account,
-        evmAddress: data.evm_address,
-        balance: balanceInHbar,
-        balanceTinybars: balanceInTinybars,
-        autoRenewPeriod: data.auto_renew_period,
-        expiryTimestamp: data.expiry_timestamp,
-        memo: data.memo,
-        key: data.key
+        tokenId: data.token_id,
+        name: data.name,
+        symbol: data.symbol,
+        decimals: parseInt(data.decimals) || 0,
+        type: data.type, // FUNGIBLE_COMMON or NON_FUNGIBLE_UNIQUE
+        totalSupply: data.total_supply,
+        treasury: data.treasury_account_id
       };
     } catch (error) {
-      console.error('Error fetching balance:', error);
+      if (error.status === 404) {
+        throw new Error('Token not found');
+      }
       throw error;
     }
-  };
+  };
+
+  // Decode base64 into raw bytes
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Decode base64 holding UTF-8 text (atob alone mangles multi-byte characters)
+  function base64ToUtf8(base64) {
+    if (!base64) return '';
+    try {
+      return new TextDecoder('utf-8').decode(base64ToBytes(base64));
+    } catch (e) {
+      console.warn('Could not decode base64 text:', e);
+      return '';
+    }
+  }
+
+  /**
+   * Decode an HCS message for display
+   * @param {string} base64 - Message as returned by the mirror node
+   * @returns {Object} - { format: 'json' | 'text' | 'binary', text, json, hex }
+   */
+  hederaAPI.decodeTopicMessage = function(base64) {
+    const bytes = base64ToBytes(base64 || '');
+    const hex = '0x' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    let text = null;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+      // Not valid UTF-8; shown as hex
+    }
+    // Control characters other than whitespace mean binary content
+    if (text !== null && /[\u0000-\u0008\u000e-\u001f]/.test(text)) {
+      text = null;
+    }
+
+    let json = null;
+    if (text !== null && /^\s*[[{]/.test(text)) {
+      try {
+        json = JSON.parse(text);
+      } catch (e) {
+        // Plain text that happens to start with a bracket
+      }
+    }
+
+    return {
+      format: json !== null ? 'json' : (text !== null ? 'text' : 'binary'),
+      text: text,
+      json: json,
+      hex: hex
+    };
+  };
+
+  /**
+   * Get the IPFS gateway used to resolve NFT metadata and images
+   * @returns {string} - Gateway URL ending with a slash
+   */
+  hederaAPI.getIpfsGateway = function() {
+    return readStorage(IPFS_GATEWAY_STORAGE_KEY) || DEFAULT_IPFS_GATEWAY;
+  };
+
+  /**
+   * Change the IPFS gateway; an empty value restores the default
+   * @param {string} url - Gateway URL, e.g. https://ipfs.io/ipfs/
+   * @returns {string} - Gateway in use
+   */
+  hederaAPI.setIpfsGateway = function(url) {
+    url = (url || '').trim();
+    if (!url) {
+      writeStorage(IPFS_GATEWAY_STORAGE_KEY, null);
+      return DEFAULT_IPFS_GATEWAY;
+    }
+    if (!/^https?:\/\/[^\s]+$/i.test(url)) {
+      throw new Error(`Invalid IPFS gateway URL: ${url}`);
+    }
+    if (!url.endsWith('/')) url += '/';
+    writeStorage(IPFS_GATEWAY_STORAGE_KEY, url);
+    return url;
+  };
+
+  /**
+   * Turn an NFT metadata URI (ipfs://, bare CID or http(s)) into a fetchable URL
+   * @param {string} uri - URI from NFT metadata
+   * @returns {string|null} - HTTP(S) URL, or null for anything else
+   */
+  hederaAPI.resolveMetadataUri = function(uri) {
+    if (!uri || typeof uri !== 'string') return null;
+    uri = uri.trim();
+
+    if (/^ipfs:\/\//i.test(uri)) {
+      return hederaAPI.getIpfsGateway() + uri.replace(/^ipfs:\/\/(ipfs\/)?/i, '');
+    }
+    // Bare CIDv0 (Qm...) or CIDv1 (b...), optionally followed by a path
+    if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/.test(uri)) {
+      return hederaAPI.getIpfsGateway() + uri;
+    }
+    if (/^https?:\/\//i.test(uri)) {
+      return uri;
+    }
+    return null;
+  };
+
+  const nftMetadataCache = new Map(); // resolved URL -> Promise<Object>
+
+  /**
+   * Load HIP-412 JSON metadata for an NFT
+   * @param {string} uri - Metadata URI decoded from the NFT's metadata field
+   * @returns {Promise<Object>} - { name, description, image, type, properties }
+   */
+  hederaAPI.getNftMetadata = function(uri) {
+    const url = hederaAPI.resolveMetadataUri(uri);
+    if (!url) {
+      return Promise.resolve({ name: null, description: null, image: null, type: null, properties: null });
+    }
+
+    if (!nftMetadataCache.has(url)) {
+      const request = (async () => {
+        const response = await fetchWithTimeout(url, { timeout: 15000 });
+        if (!response.ok) {
+          throw new Error(`Metadata Error: ${response.status}`);
+        }
+
+        // Some collections point straight at the image instead of a JSON document
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.startsWith('image/')) {
+          return { name: null, description: null, image: url, type: contentType, properties: null };
+        }
+
+        const json = await response.json();
+        return {
+          name: json.name || null,
+          description: json.description || null,
+          image: hederaAPI.resolveMetadataUri(json.image),
+          type: json.type || null,
+          properties: json.properties || null
+        };
+      })();
+
+      // Failed lookups are retried next time
+      request.catch(() => nftMetadataCache.delete(url));
+      nftMetadataCache.set(url, request);
+    }
+
+    return nftMetadataCache.get(url);
+  };
+
+  // Convert a mirror node account record into the shape returned by getBalance
+  function normalizeAccount(address, data) {
+    // Convert balance from tinybars to HBAR (1 HBAR = 100,000,000 tinybars)
+    const balanceInTinybars = parseInt(data.balance.balance);
+    const balanceInHbar = balanceInTinybars / 100000000;
+
+    return {
+      address: address,
+      accountId: data.account,
+      evmAddress: data.evm_address,
+      balance: balanceInHbar,
+      balanceTinybars: balanceInTinybars,
+      autoRenewPeriod: data.auto_renew_period,
+      expiryTimestamp: data.expiry_timestamp,
+      memo: data.memo,
+      key: data.key,
+      alias: data.alias || null,
+      // Auto-created by a transfer to an EVM address (HIP-583): it has an alias but no key until completed
+      hollow: !data.key && !!data.alias,
+      maxAutomaticTokenAssociations: data.max_automatic_token_associations,
+      stakedNodeId: data.staked_node_id,
+      stakedAccountId: data.staked_account_id,
+      declineReward: !!data.decline_reward,
+      pendingReward: (data.pending_reward || 0) / 100000000,
+      stakePeriodStart: data.stake_period_start
+    };
+  }
+
+  /**
+   * Decode an account key as returned by the mirror node into a key tree
+   * @param {Object} key - { _type: 'ED25519' | 'ECDSA_SECP256K1' | 'ProtobufEncoded', key: hex }
+   * @returns {Object|null} - { type, key } leaves and { type: 'keyList' | 'threshold', threshold, keys }
+   *   composites as decoded by hederaTransaction.decodeKey; null for accounts without a key
+   */
+  hederaAPI.decodeAccountKey = function(key) {
+    if (!key || !key.key) return null;
+
+    const hex = key.key.replace(/^0x/, '').toLowerCase();
+    if (key._type === 'ED25519') {
+      return { type: 'ed25519', key: hex };
+    }
+    if (key._type === 'ECDSA_SECP256K1') {
+      return { type: 'ecdsaSecp256k1', key: hex };
+    }
+    if (key._type === 'ProtobufEncoded') {
+      if (typeof hederaTransaction === 'undefined') {
+        throw new Error('hederaTransaction.js is required to decode composite keys');
+      }
+      return hederaTransaction.decodeKey(hex);
+    }
+    throw new Error(`Unsupported key type: ${key._type}`);
+  };
+
+  /**
+   * Check whether signatures from the given public keys satisfy a key tree.
+   * Contract keys are only satisfied by contract calls, never by signatures.
+   * @param {Object} tree - Key tree from decodeAccountKey
+   * @param {Array<string>} publicKeys - Public keys in hex (compressed for secp256k1)
+   * @returns {boolean}
+   */
+  hederaAPI.isKeySatisfied = function(tree, publicKeys) {
+    if (!tree) return false;
+    const signers = publicKeys.map(key => key.replace(/^0x/, '').toLowerCase());
+
+    const satisfied = node => {
+      if (node.type === 'keyList' || node.type === 'threshold') {
+        const signed = node.keys.filter(satisfied).length;
+        return node.keys.length > 0 && signed >= node.threshold;
+      }
+      return !!node.key && signers.includes(node.key);
+    };
+    return satisfied(tree);
+  };
+
+  /**
+   * Get the last persisted balance of an account, however old, without touching the network
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @returns {Promise<Object|null>} - Balance information as returned by getBalance, or null
+   */
+  hederaAPI.getCachedBalance = async function(address) {
+    if (!cachePersistence) return null;
+    try {
+      address = address.trim();
+      const data = await cachePersistence.get(cacheKey(`/api/v1/accounts/${address}`));
+      return data ? normalizeAccount(address, data) : null;
+    } catch (error) {
+      console.warn('Could not read cached balance:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Get account balance using Hedera Mirror Node API
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {Object} options - { fresh: true } bypasses the response cache
+   * @returns {Promise<Object>} - Balance information
+   */
+  hederaAPI.getBalance = async function(address, options = {}) {
+    try {
+      // Clean address
+      address = address.trim();
+      
+      // Determine if it's an EVM address or Account ID
+      let endpoint;
+      if (address.startsWith('0x')) {
+        // EVM address format
+        endpoint = `/api/v1/accounts/${address}`;
+      } else if (address.match(/^\d+\.\d+\.\d+$/)) {
+        // Account ID format (0.0.xxxx)
+        endpoint = `/api/v1/accounts/${address}`;
+      } else {
+        throw new Error('Invalid address format. Use EVM address (0x...) or Account ID (0.0.xxxx)');
+      }
+
+      let data;
+      try {
+        data = await mirrorGetJson(endpoint, { ttl: CACHE_TTL.account, fresh: options.fresh, persist: true });
+      } catch (error) {
+        if (error.status === 404) {
+          throw new Error('Account not found. Make sure the account exists on the network.');
+        }
+        throw error;
+      }
+
+      rememberAccountAliases(address, data.account, data.evm_address);
+      return normalizeAccount(address, data);
+    } catch (error) {
+      console.error('Error fetching balance:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Get HTS token balances of an account, enriched with token metadata
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {Object} options - { fresh: true } bypasses the response cache
+   * @returns {Promise<Object>} - { tokens, truncated }; truncated is set when the account
+   *   has more relationships than MAX_PAGES pages hold
+   */
+  hederaAPI.getTokenBalances = async function(address, options = {}) {
+    try {
+      address = address.trim();
+      if (!hederaAPI.validateAddress(address).valid) {
+        throw new Error('Invalid address format');
+      }
+
+      // Page through every token relationship of the account
+      const relationships = [];
+      let path = `/api/v1/accounts/${address}/tokens?limit=100`;
+      for (let page = 0; path && page < MAX_PAGES; page++) {
+        let data;
+        try {
+          data = await mirrorGetJson(path, { ttl: CACHE_TTL.tokens, fresh: options.fresh });
+        } catch (error) {
+          if (error.status === 404) {
+            throw new Error('Account not found');
+          }
+          throw error;
+        }
+        relationships.push(...(data.tokens || []));
+        path = data.links && data.links.next;
+      }
+
+      const tokens = await mapWithConcurrency(relationships, 5, async relationship => {
+        let info = null;
+        try {
+          info = await hederaAPI.getTokenInfo(relationship.token_id);
+        } catch (e) {
+          console.warn(`Could not load token ${relationship.token_id}:`, e);
+        }
+
+        const decimals = info ? info.decimals : (parseInt(relationship.decimals) || 0);
+        return {
+          tokenId: relationship.token_id,
+          name: info ? info.name : '',
+          symbol: info ? info.symbol : '',
+          decimals: decimals,
+          type: info ? info.type : null,
+          rawBalance: String(relationship.balance),
+          balance: info && info.type === 'NON_FUNGIBLE_UNIQUE'
+            ? String(relationship.balance)
+            : formatUnits(relationship.balance, decimals),
+          automaticAssociation: relationship.automatic_association,
+          freezeStatus: relationship.freeze_status,
+          kycStatus: relationship.kyc_status
+        };
+      });
+      return { tokens: tokens, truncated: !!path };
+    } catch (error) {
+      console.error('Error fetching token balances:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Get the NFTs held by an account, grouped by collection
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {Object} options - { fresh: true } bypasses the response cache
+   * @returns {Promise<Array<Object>>} - Collections with their NFTs sorted by serial number
+   */
+  hederaAPI.getNftCollections = async function(address, options = {}) {
+    try {
+      address = address.trim();
+      if (!hederaAPI.validateAddress(address).valid) {
+        throw new Error('Invalid address format');
+      }
+
+      const nfts = [];
+      let path = `/api/v1/accounts/${address}/nfts?limit=100`;
+      for (let page = 0; path && page < MAX_PAGES; page++) {
+        let data;
+        try {
+          data = await mirrorGetJson(path, { ttl: CACHE_TTL.nfts, fresh: options.fresh });
+        } catch (error) {
+          if (error.status === 404) {
+            throw new Error('Account not found');
+          }
+          throw error;
+        }
+        nfts.push(...(data.nfts || []));
+        path = data.links && data.links.next;
+      }
+
+      const collections = new Map();
+      nfts.forEach(nft => {
+        if (!collections.has(nft.token_id)) {
+          collections.set(nft.token_id, { tokenId: nft.token_id, name: '', symbol: '', nfts: [] });
+        }
+        collections.get(nft.token_id).nfts.push({
+          tokenId: nft.token_id,
+          serialNumber: nft.serial_number,
+          metadataUri: base64ToUtf8(nft.metadata),
+          createdTimestamp: nft.created_timestamp,
+          spender: nft.spender || null
+        });
+      });
+
+      const result = Array.from(collections.values());
+      await mapWithConcurrency(result, 5, async collection => {
+        collection.nfts.sort((a, b) => a.serialNumber - b.serialNumber);
+        try {
+          const info = await hederaAPI.getTokenInfo(collection.tokenId);
+          collection.name = info.name;
+          collection.symbol = info.symbol;
+        } catch (e) {
+          console.warn(`Could not load token ${collection.tokenId}:`, e);
+        }
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Error fetching NFTs:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Get an HCS topic
+   * @param {string} topicId - Topic ID (0.0.xxxx)
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - { topicId, memo, adminKey, submitKey, autoRenewAccount, createdTimestamp, deleted }
+   */
+  hederaAPI.getTopicInfo = async function(topicId, options = {}) {
+    topicId = topicId.trim();
+    let data;
+    try {
+      data = await mirrorGetJson(`/api/v1/topics/${topicId}`, { ttl: CACHE_TTL.topics, fresh: options.fresh });
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw new Error('Topic not found');
+      }
+      throw error;
+    }
+
+    return {
+      topicId: data.topic_id,
+      memo: data.memo || '',
+      adminKey: data.admin_key || null,
+      // Without a submit key anyone can submit messages
+      submitKey: data.submit_key || null,
+      autoRenewAccount: data.auto_renew_account || null,
+      createdTimestamp: data.created_timestamp,
+      deleted: !!data.deleted
+    };
+  };
+
+  /**
+   * Get the messages of an HCS topic, newest first
+   * @param {string} topicId - Topic ID (0.0.xxxx)
+   * @param {Object} options - { limit, order, next (links.next of a previous page), fresh }
+   * @returns {Promise<Object>} - { messages: [...], next }
+   */
+  hederaAPI.getTopicMessages = async function(topicId, options = {}) {
+    const path = options.next ||
+      `/api/v1/topics/${topicId.trim()}/messages?limit=${options.limit || 25}&order=${options.order || 'desc'}`;
+
+    let data;
+    try {
+      data = await mirrorGetJson(path, { ttl: CACHE_TTL.topicMessages, fresh: options.fresh });
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error('Topic not found');
+      }
+      throw error;
+    }
+
+    return {
+      messages: (data.messages || []).map(message => ({
+        sequenceNumber: message.sequence_number,
+        consensusTimestamp: message.consensus_timestamp,
+        payerAccountId: message.payer_account_id,
+        runningHash: message.running_hash,
+        message: message.message,
+        content: hederaAPI.decodeTopicMessage(message.message),
+        // Set for messages split into several chunks: { number, total, initialTransactionId }
+        chunk: message.chunk_info && message.chunk_info.total > 1 ? {
+          number: message.chunk_info.number,
+          total: message.chunk_info.total,
+          // { account_id, transaction_valid_start, nonce, scheduled } of the first chunk's transaction
+          initialTransactionId: message.chunk_info.initial_transaction_id || null
+        } : null
+      })),
+      next: (data.links && data.links.next) || null
+    };
+  };
+
+  // Schedules without an explicit expiration expire this long after creation (ledger.schedule.txExpiryTimeSecs)
+  const DEFAULT_SCHEDULE_EXPIRY_SECONDS = 1800;
+
+  // Shape a mirror node schedule and decode its inner transaction
+  function normalizeSchedule(data) {
+    let transaction = null;
+    if (data.transaction_body && typeof hederaTransaction !== 'undefined') {
+      try {
+        transaction = hederaTransaction.decodeSchedulableTransactionBody(base64ToBytes(data.transaction_body));
+      } catch (error) {
+        console.warn('Could not decode scheduled transaction body:', error);
+      }
+    }
+
+    const expirationTime = data.expiration_time ||
+      (data.consensus_timestamp
+        ? String(parseInt(data.consensus_timestamp.split('.')[0], 10) + DEFAULT_SCHEDULE_EXPIRY_SECONDS) + '.000000000'
+        : null);
+
+    let status = 'pending';
+    if (data.executed_timestamp) {
+      status = 'executed';
+    } else if (data.deleted) {
+      status = 'deleted';
+    } else if (expirationTime && parseFloat(expirationTime) * 1000 < Date.now()) {
+      status = 'expired';
+    }
+
+    return {
+      scheduleId: data.schedule_id,
+      memo: data.memo || '',
+      creatorAccountId: data.creator_account_id,
+      payerAccountId: data.payer_account_id,
+      createdTimestamp: data.consensus_timestamp,
+      expirationTime: expirationTime,
+      executedTimestamp: data.executed_timestamp || null,
+      deleted: !!data.deleted,
+      // Executes only at expiration (HIP-423) instead of as soon as it has enough signatures
+      waitForExpiry: !!data.wait_for_expiry,
+      adminKey: data.admin_key || null,
+      status: status,
+      signatures: (data.signatures || []).map(signature => ({
+        publicKeyPrefix: '0x' + Array.from(base64ToBytes(signature.public_key_prefix || ''))
+          .map(b => b.toString(16).padStart(2, '0')).join(''),
+        type: signature.type,
+        consensusTimestamp: signature.consensus_timestamp
+      })),
+      transaction: transaction
+    };
+  }
+
+  /**
+   * Get a scheduled transaction
+   * @param {string} scheduleId - Schedule ID (0.0.xxxx)
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - { scheduleId, status, transaction, signatures, expirationTime, ... }
+   */
+  hederaAPI.getSchedule = async function(scheduleId, options = {}) {
+    try {
+      const data = await mirrorGetJson(`/api/v1/schedules/${scheduleId.trim()}`, { ttl: CACHE_TTL.schedules, fresh: options.fresh });
+      return normalizeSchedule(data);
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw new Error('Schedule not found');
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Get the schedules created by an account, newest first
+   * @param {string} accountId - Account ID (0.0.xxxx)
+   * @param {Object} options - { limit, next (links.next of a previous page), fresh }
+   * @returns {Promise<Object>} - { schedules: [...], next }
+   */
+  hederaAPI.getAccountSchedules = async function(accountId, options = {}) {
+    const path = options.next ||
+      `/api/v1/schedules?account.id=${accountId}&order=desc&limit=${options.limit || 10}`;
+    const data = await mirrorGetJson(path, { ttl: CACHE_TTL.schedules, fresh: options.fresh });
+    return {
+      schedules: (data.schedules || []).map(normalizeSchedule),
+      next: (data.links && data.links.next) || null
+    };
+  };
+
+  // ExchangeRate { cent_equivalent, hbar_equivalent, expiration_time } -> USD per HBAR
+  function toUsdPerHbar(rate) {
+    return rate && rate.hbar_equivalent ? rate.cent_equivalent / rate.hbar_equivalent / 100 : null;
+  }
+
+  function toExchangeRate(data) {
+    const usdPerHbar = toUsdPerHbar(data.current_rate);
+    if (!usdPerHbar) {
+      throw new Error('The network did not report an exchange rate');
+    }
+    return {
+      usdPerHbar: usdPerHbar,
+      nextUsdPerHbar: toUsdPerHbar(data.next_rate),
+      expirationTime: data.current_rate.expiration_time,
+      timestamp: data.timestamp
+    };
+  }
+
+  // Historical rates seen so far per network, as { from, to, rate } ranges in consensus seconds:
+  // a rate set at `timestamp` stays valid until its expiration_time
+  const exchangeRateRanges = new Map();
+
+  async function getHistoricalExchangeRate(timestamp) {
+    const seconds = parseFloat(timestamp);
+    const key = cacheKey('/api/v1/network/exchangerate');
+    // Created up front so parallel lookups all add to the same list
+    if (!exchangeRateRanges.has(key)) exchangeRateRanges.set(key, []);
+    const ranges = exchangeRateRanges.get(key);
+    const known = ranges.find(range => seconds >= range.from && seconds < range.to);
+    if (known) return known.rate;
+
+    // Past rates never change
+    const data = await mirrorGetJson(`/api/v1/network/exchangerate?timestamp=${timestamp}`, { ttl: CACHE_TTL.transaction });
+    const rate = toExchangeRate(data);
+    if (data.timestamp && rate.expirationTime) {
+      ranges.push({ from: parseFloat(data.timestamp), to: rate.expirationTime, rate: rate });
+    }
+    return rate;
+  }
+
+  /**
+   * Get the HBAR to USD exchange rate the network uses to price fees
+   * @param {Object} options - { timestamp (consensus timestamp for the rate in effect then), fresh }
+   * @returns {Promise<Object>} - { usdPerHbar, nextUsdPerHbar, expirationTime, timestamp }
+   */
+  hederaAPI.getExchangeRate = async function(options = {}) {
+    if (options.timestamp) {
+      return getHistoricalExchangeRate(options.timestamp);
+    }
+    const data = await mirrorGetJson('/api/v1/network/exchangerate', { ttl: CACHE_TTL.exchangeRate, fresh: options.fresh });
+    return toExchangeRate(data);
+  };
+
+  function setFiatValues(tx, usdPerHbar) {
+    tx.usdPerHbar = usdPerHbar;
+    tx.usdValue = typeof tx.amount === 'number' ? tx.amount * usdPerHbar : null;
+    tx.usdFee = tx.charged_tx_fee * usdPerHbar;
+  }
+
+  // Persisted rate of a transaction, keyed by its consensus timestamp
+  function fiatRateKey(consensusTimestamp) {
+    return cacheKey(`exchangerate@${consensusTimestamp}`);
+  }
+
+  /**
+   * Store the USD value at consensus time on transactions from getTransactionHistory or
+   * getTransactionById: usdPerHbar, usdValue (of amount) and usdFee. The rate of each transaction
+   * is persisted by consensus timestamp, so later loads do not look it up again. Values stay null
+   * when the rate for that time cannot be loaded.
+   * @param {Array<Object>} transactions - Transactions to update in place
+   * @returns {Promise<Array<Object>>} - The same transactions
+   */
+  hederaAPI.attachFiatValues = async function(transactions) {
+    const missing = [];
+    await Promise.all(transactions.map(async tx => {
+      tx.usdPerHbar = null;
+      tx.usdValue = null;
+      tx.usdFee = null;
+      let stored = null;
+      if (cachePersistence) {
+        try {
+          stored = await cachePersistence.get(fiatRateKey(tx.consensusTimestamp));
+        } catch (error) {
+          console.warn('Could not read a stored exchange rate:', error);
+        }
+      }
+      if (stored && stored.usdPerHbar) {
+        setFiatValues(tx, stored.usdPerHbar);
+      } else {
+        missing.push(tx);
+      }
+    }));
+
+    // The network sets a new rate at most once an hour: hours are looked up in parallel, and within
+    // an hour the first lookup records the range the following transactions are served from
+    const hours = new Map();
+    for (const tx of missing) {
+      const hour = Math.floor(parseFloat(tx.consensusTimestamp) / 3600);
+      if (!hours.has(hour)) hours.set(hour, []);
+      hours.get(hour).push(tx);
+    }
+
+    await mapWithConcurrency([...hours.values()], 5, async group => {
+      for (const tx of group) {
+        try {
+          const rate = await getHistoricalExchangeRate(tx.consensusTimestamp);
+          setFiatValues(tx, rate.usdPerHbar);
+          if (cachePersistence) {
+            cachePersistence.set(fiatRateKey(tx.consensusTimestamp), { usdPerHbar: rate.usdPerHbar })
+              .catch(e => console.warn('Could not persist exchange rate:', e));
+          }
+        } catch (error) {
+          console.warn(`Could not load the exchange rate at ${tx.consensusTimestamp}:`, error);
+        }
+      }
+    });
+    return transactions;
+  };
+
+  /**
+   * Format a US dollar amount
+   * @param {number} usd - Amount in USD
+   * @returns {string} - e.g. "$12.34"; amounts under a cent keep two significant digits
+   */
+  hederaAPI.formatUsdAmount = function(usd) {
+    const value = Math.abs(usd);
+    const digits = value > 0 && value < 0.01 ? Math.min(8, 1 - Math.floor(Math.log10(value))) : 2;
+    const formatted = value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: digits });
+    return (usd < 0 ? '-$' : '$') + formatted;
+  };
+
+  /**
+   * Format an HBAR amount in US dollars
+   * @param {number} hbar - Amount in HBAR
+   * @param {number} usdPerHbar - Rate from getExchangeRate
+   * @returns {string} - As formatUsdAmount
+   */
+  hederaAPI.formatUsd = function(hbar, usdPerHbar) {
+    return hederaAPI.formatUsdAmount(hbar * usdPerHbar);
+  };
+
+  const NETWORK_NODES_PATH = '/api/v1/network/nodes?limit=25';
+
+  function normalizeNode(node) {
+    const endpoint = entry => ({
+      host: entry.domain_name || entry.ip_address_v4 || '',
+      port: entry.port
+    });
+    return {
+      nodeId: node.node_id,
+      accountId: node.node_account_id,
+      description: node.description || '',
+      stake: (node.stake || 0) / 100000000,
+      stakeRewarded: (node.stake_rewarded || 0) / 100000000,
+      stakeNotRewarded: (node.stake_not_rewarded || 0) / 100000000,
+      minStake: (node.min_stake || 0) / 100000000,
+      maxStake: (node.max_stake || 0) / 100000000,
+      rewardRateStart: node.reward_rate_start,
+      // reward_rate_start is tinybars per staked HBAR for the last (daily) staking period
+      annualRewardRate: (node.reward_rate_start || 0) * 365 / 100000000,
+      declineReward: !!node.decline_reward,
+      serviceEndpoints: (node.service_endpoints || []).map(endpoint),
+      // gRPC-web proxy browsers can submit native transactions to, when the node runs one
+      grpcProxyEndpoint: node.grpc_proxy_endpoint ? endpoint(node.grpc_proxy_endpoint) : null,
+      stakingPeriodEnd: node.staking_period ? node.staking_period.to : null,
+      raw: node
+    };
+  }
+
+  /**
+   * Get the consensus nodes of the current network. Pages are persisted so
+   * getCachedNetworkNodes can show the directory before the network answers.
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Array>} - Nodes with ID, account, description, stake, reward rate and endpoints
+   */
+  hederaAPI.getNetworkNodes = async function(options = {}) {
+    const nodes = [];
+    let path = NETWORK_NODES_PATH;
+    for (let page = 0; path && page < MAX_PAGES; page++) {
+      const data = await mirrorGetJson(path, { ttl: CACHE_TTL.nodes, fresh: options.fresh, persist: true });
+      nodes.push(...(data.nodes || []));
+      path = data.links && data.links.next;
+    }
+
+    return nodes.map(normalizeNode);
+  };
+
+  /**
+   * Get the last persisted node list of the current network without touching the network
+   * @returns {Promise<Array|null>} - Nodes as returned by getNetworkNodes, or null when none are stored
+   */
+  hederaAPI.getCachedNetworkNodes = async function() {
+    if (!cachePersistence) return null;
+    try {
+      const nodes = [];
+      let path = NETWORK_NODES_PATH;
+      for (let page = 0; path && page < MAX_PAGES; page++) {
+        const data = await cachePersistence.get(cacheKey(path));
+        // A missing page means the stored list is incomplete
+        if (!data) return null;
+        nodes.push(...(data.nodes || []));
+        path = data.links && data.links.next;
+      }
+      return nodes.map(normalizeNode);
+    } catch (error) {
+      console.warn('Could not read cached network nodes:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Get the staking rewards paid to an account, newest first
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - { rewards: [{ timestamp, amount }], total }
+   */
+  hederaAPI.getStakingRewards = async function(address, options = {}) {
+    address = address.trim();
+    const rewards = [];
+    let path = `/api/v1/accounts/${address}/rewards?limit=100&order=desc`;
+    for (let page = 0; path && page < MAX_PAGES; page++) {
+      let data;
+      try {
+        data = await mirrorGetJson(path, { ttl: CACHE_TTL.rewards, fresh: options.fresh });
+      } catch (error) {
+        if (error.status === 404) {
+          throw new Error('Account not found');
+        }
+        throw error;
+      }
+      rewards.push(...(data.rewards || []).map(reward => ({
+        timestamp: reward.timestamp,
+        amount: reward.amount / 100000000
+      })));
+      path = data.links && data.links.next;
+    }
+
+    return {
+      rewards: rewards,
+      total: rewards.reduce((sum, reward) => sum + reward.amount, 0)
+    };
+  };
+
+  /**
+   * Get an account's staking election with the staked node resolved
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - Staking information
+   */
+  hederaAPI.getStakingInfo = async function(address, options = {}) {
+    const account = await hederaAPI.getBalance(address, options);
+
+    let stakedNode = null;
+    if (account.stakedNodeId !== null && account.stakedNodeId !== undefined) {
+      try {
+        const nodes = await hederaAPI.getNetworkNodes();
+        stakedNode = nodes.find(node => node.nodeId === account.stakedNodeId) || null;
+      } catch (error) {
+        console.warn('Could not load network nodes:', error);
+      }
+    }
+
+    return {
+      accountId: account.accountId,
+      stakedNodeId: account.stakedNodeId,
+      stakedNode: stakedNode,
+      stakedAccountId: account.stakedAccountId,
+      declineReward: account.declineReward,
+      pendingReward: account.pendingReward,
+      stakePeriodStart: account.stakePeriodStart,
+      balance: account.balance
+    };
+  };
+
+  // Follow the pages of one allowances endpoint
+  async function getAllowancePages(path, options) {
+    const allowances = [];
+    for (let page = 0; path && page < MAX_PAGES; page++) {
+      let data;
+      try {
+        data = await mirrorGetJson(path, { ttl: CACHE_TTL.allowances, fresh: options.fresh });
+      } catch (error) {
+        if (error.status === 404) {
+          throw new Error('Account not found');
+        }
+        throw error;
+      }
+      allowances.push(...(data.allowances || []));
+      path = data.links && data.links.next;
+    }
+    return allowances;
+  }
+
+  /**
+   * Get the HBAR, token and NFT allowances an account has granted
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx) of the owner
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - { crypto: [...], tokens: [...], nfts: [...] }; revoked allowances are left out
+   */
+  hederaAPI.getAllowances = async function(address, options = {}) {
+    address = address.trim();
+    const base = `/api/v1/accounts/${address}/allowances`;
+    const [crypto, tokens, nfts] = await Promise.all([
+      getAllowancePages(`${base}/crypto?limit=100`, options),
+      getAllowancePages(`${base}/tokens?limit=100`, options),
+      getAllowancePages(`${base}/nfts?limit=100`, options)
+    ]);
+
+    const result = {
+      crypto: crypto
+        .filter(allowance => allowance.amount > 0)
+        .map(allowance => ({
+          spender: allowance.spender,
+          amount: allowance.amount / 100000000,
+          amountGranted: allowance.amount_granted / 100000000,
+          timestamp: allowance.timestamp && allowance.timestamp.from
+        })),
+      tokens: tokens
+        .filter(allowance => allowance.amount > 0)
+        .map(allowance => ({
+          tokenId: allowance.token_id,
+          spender: allowance.spender,
+          rawAmount: String(allowance.amount),
+          rawAmountGranted: String(allowance.amount_granted),
+          name: '',
+          symbol: '',
+          decimals: 0,
+          amount: String(allowance.amount),
+          amountGranted: String(allowance.amount_granted),
+          timestamp: allowance.timestamp && allowance.timestamp.from
+        })),
+      nfts: nfts
+        .filter(allowance => allowance.approved_for_all)
+        .map(allowance => ({
+          tokenId: allowance.token_id,
+          spender: allowance.spender,
+          name: '',
+          symbol: '',
+          timestamp: allowance.timestamp && allowance.timestamp.from
+        }))
+    };
+
+    // Amounts are in the token's smallest unit, so resolve decimals before formatting
+    await mapWithConcurrency(result.tokens.concat(result.nfts), 5, async allowance => {
+      try {
+        const info = await hederaAPI.getTokenInfo(allowance.tokenId);
+        allowance.name = info.name;
+        allowance.symbol = info.symbol;
+        if (allowance.rawAmount !== undefined) {
+          allowance.decimals = info.decimals;
+          allowance.amount = formatUnits(allowance.rawAmount, info.decimals);
+          allowance.amountGranted = formatUnits(allowance.rawAmountGranted, info.decimals);
+        }
+      } catch (e) {
+        console.warn(`Could not load token ${allowance.tokenId}:`, e);
+      }
+    });
+
+    return result;
+  };
+
+  // Look up metadata for every token referenced by the given mirror node transactions
+  async function loadTokenInfos(transactions) {
+    const tokenIds = new Set();
+    transactions.forEach(tx => {
+      (tx.token_transfers || []).forEach(t => tokenIds.add(t.token_id));
+      (tx.nft_transfers || []).forEach(t => tokenIds.add(t.token_id));
+    });
+
+    const infos = {};
+    await mapWithConcurrency(Array.from(tokenIds), 5, async tokenId => {
+      try {
+        infos[tokenId] = await hederaAPI.getTokenInfo(tokenId);
+      } catch (e) {
+        console.warn(`Could not load token ${tokenId}:`, e);
+      }
+    });
+    return infos;
+  }
+
+  /**
+   * Normalize the token_transfers and nft_transfers of a mirror node transaction
+   * @param {Object} tx - Mirror node transaction
+   * @param {Object} tokenInfos - Token ID -> token information from getTokenInfo
+   * @returns {Object} - { tokenTransfers, nftTransfers }
+   */
+  function normalizeTokenTransfers(tx, tokenInfos) {
+    const tokenTransfers = (tx.token_transfers || []).map(t => {
+      const info = tokenInfos[t.token_id];
+      const decimals = info ? info.decimals : 0;
+      return {
+        tokenId: t.token_id,
+        account: t.account,
+        rawAmount: String(t.amount),
+        amount: formatUnits(t.amount, decimals),
+        decimals: decimals,
+        symbol: info ? info.symbol : t.token_id,
+        name: info ? info.name : '',
+        isApproval: !!t.is_approval
+      };
+    });
+
+    const nftTransfers = (tx.nft_transfers || []).map(t => {
+      const info = tokenInfos[t.token_id];
+      return {
+        tokenId: t.token_id,
+        serialNumber: t.serial_number,
+        sender: t.sender_account_id,
+        receiver: t.receiver_account_id,
+        symbol: info ? info.symbol : t.token_id,
+        name: info ? info.name : '',
+        isApproval: !!t.is_approval
+      };
+    });
+
+    return { tokenTransfers, nftTransfers };
+  }
+
+  /**
+   * Summarize token and NFT movements from the point of view of one account
+   * @param {Array<string>} accountIds - Identifiers of the account
+   * @param {Object} transfers - { tokenTransfers, nftTransfers } from normalizeTokenTransfers
+   * @returns {Array<Object>} - One entry per token: { tokenId, symbol, kind, type, amount, serialNumbers, counterparty }
+   */
+  function tokenMovementsFor(accountIds, transfers) {
+    const isOurs = account => accountIds.includes(account);
+    const movements = [];
+
+    const fungibleByToken = {};
+    transfers.tokenTransfers.forEach(t => {
+      (fungibleByToken[t.tokenId] = fungibleByToken[t.tokenId] || []).push(t);
+    });
+    Object.keys(fungibleByToken).forEach(tokenId => {
+      const entries = fungibleByToken[tokenId];
+      const ours = entries.filter(t => isOurs(t.account));
+      if (ours.length === 0) return;
+
+      const net = ours.reduce((sum, t) => sum + BigInt(t.rawAmount), 0n);
+      if (net === 0n) return;
+
+      const type = net > 0n ? 'receive' : 'send';
+      const counterparty = entries.find(t => !isOurs(t.account) && (type === 'receive' ? BigInt(t.rawAmount) < 0n : BigInt(t.rawAmount) > 0n));
+      movements.push({
+        tokenId: tokenId,
+        symbol: ours[0].symbol,
+        kind: 'fungible',
+        type: type,
+        amount: formatUnits(net < 0n ? -net : net, ours[0].decimals),
+        serialNumbers: [],
+        counterparty: counterparty ? counterparty.account : null
+      });
+    });
+
+    const nftByToken = {};
+    transfers.nftTransfers.forEach(t => {
+      if (isOurs(t.receiver) === isOurs(t.sender)) return;
+      const type = isOurs(t.receiver) ? 'receive' : 'send';
+      const key = `${t.tokenId}:${type}`;
+      if (!nftByToken[key]) {
+        nftByToken[key] = {
+          tokenId: t.tokenId,
+          symbol: t.symbol,
+          kind: 'nft',
+          type: type,
+          amount: '0',
+          serialNumbers: [],
+          counterparty: type === 'receive' ? t.sender : t.receiver
+        };
+        movements.push(nftByToken[key]);
+      }
+      nftByToken[key].serialNumbers.push(t.serialNumber);
+      nftByToken[key].amount = String(nftByToken[key].serialNumbers.length);
+    });
+
+    return movements;
+  }
+
+  /**
+   * Get transaction history using Hedera Mirror Node API
+   * @param {string} address - EVM address or Account ID
+   * @param {Object} options - Query options (limit, order, timestamp, fresh)
+   * @returns {Promise<Object>} - Transaction history
+   */
+  hederaAPI.getTransactionHistory = async function(address, options = {}) {
+    try {
+      address = address.trim();
+
+      // Build query parameters for account endpoint
+      const params = new URLSearchParams();
+      params.append('limit', options.limit || 25);
+      params.append('order', options.order || 'desc');
+      
+      if (options.timestamp) {
+        params.append('timestamp', options.timestamp);
+      }
+
+      // Use the account endpoint which includes transactions
+      let endpoint;
+      if (address.startsWith('0x')) {
+        endpoint = `/api/v1/accounts/${address}?${params}`;
+      } else if (address.match(/^\d+\.\d+\.\d+$/)) {
+        endpoint = `/api/v1/accounts/${address}?${params}`;
+      } else {
+        throw new Error('Invalid address format');
+      }
+
+      let data;
+      try {
+        data = await mirrorGetJson(endpoint, { ttl: CACHE_TTL.history, fresh: options.fresh });
+      } catch (error) {
+        if (error.status === 404) {
+          throw new Error('Account not found');
+        }
+        throw error;
+      }
+
+      // Check if transactions exist in response
+      if (!data.transactions || data.transactions.length === 0) {
+        return {
+          transactions: [],
+          links: data.links || {}
+        };
+      }
+
+      const tokenInfos = await loadTokenInfos(data.transactions);
+      const ourIds = [address, data.account].filter(Boolean);
+
+      // Process transactions
+      const transactions = data.transactions.map(tx => {
+        // Determine transaction type and amount
+        let type = 'unknown';
+        let amount = 0;
+        let counterparty = null;
+        let feeOnly = false;
+
+        if (tx.transfers && tx.transfers.length > 0) {
+          // Find transfers involving our address
+          const accountId = data.account; // Use the account ID from response
+          const ourTransfers = tx.transfers.filter(t => 
+            t.account === address || 
+            t.account === accountId
+          );
+
+          if (ourTransfers.length > 0) {
+            const transfer = ourTransfers[0];
+            amount = Math.abs(transfer.amount) / 100000000; // Convert to HBAR
+            
+            if (transfer.amount > 0) {
+              type = 'receive';
+              // Find sender
+              const senderTransfer = tx.transfers.find(t => t.amount < 0);
+              if (senderTransfer) counterparty = senderTransfer.account;
+            } else {
+              type = 'send';
+              // Find receiver
+              const receiverTransfer = tx.transfers.find(t => t.amount > 0 && t.account !== address && t.account !== accountId);
+              if (receiverTransfer) counterparty = receiverTransfer.account;
+              // Paying the network fee is the only HBAR movement (e.g. a token transfer)
+              feeOnly = -transfer.amount === tx.charged_tx_fee;
+            }
+          }
+        }
+
+        // Token and NFT movements decide the direction when no HBAR changed hands
+        const tokenTransfers = normalizeTokenTransfers(tx, tokenInfos);
+        const tokenMovements = tokenMovementsFor(ourIds, tokenTransfers);
+        if (tokenMovements.length > 0 && (type === 'unknown' || feeOnly)) {
+          type = tokenMovements[0].type;
+          counterparty = tokenMovements[0].counterparty;
+          amount = 0;
+        }
+
+        // Convert Base64 transaction hash to hex format
+        let hexHash = tx.transaction_hash;
+        if (hexHash && !hexHash.startsWith('0x')) {
+          try {
+            const binaryString = atob(hexHash);
+            hexHash = '0x' + Array.from(binaryString)
+              .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
+              .join('');
+          } catch (e) {
+            console.warn('Could not convert hash to hex:', e);
+          }
+        }
+
+        return {
+          id: tx.transaction_id,
+          hash: hexHash, // Add transaction hash in hex format
+          consensusTimestamp: tx.consensus_timestamp,
+          type: type,
+          amount: amount,
+          counterparty: counterparty,
+          result: tx.result,
+          name: tx.name,
+          memo: base64ToUtf8(tx.memo_base64),
+          charged_tx_fee: tx.charged_tx_fee / 100000000, // Convert to HBAR
+          max_fee: tx.max_fee ? tx.max_fee / 100000000 : 0,
+          valid_start_timestamp: tx.valid_start_timestamp,
+          node: tx.node,
+          scheduled: tx.scheduled,
+          nonce: tx.nonce,
+          transfers: tx.transfers,
+          tokenTransfers: tokenTransfers.tokenTransfers,
+          nftTransfers: tokenTransfers.nftTransfers,
+          tokenMovements: tokenMovements,
+          // Filled in by attachFiatValues
+          usdPerHbar: null,
+          usdValue: null,
+          usdFee: null
+        };
+      });
+
+      return {
+        transactions: transactions,
+        links: data.links || {}
+      };
+    } catch (error) {
+      console.error('Error fetching transaction history:', error);
+      throw error;
+    }
+  };
+
+  // Transaction types whose record carries an EVM contract result
+  const CONTRACT_TRANSACTION_TYPES = ['ETHEREUMTRANSACTION', 'CONTRACTCALL', 'CONTRACTCREATEINSTANCE'];
+
+  // True for a 32-byte Ethereum transaction hash (Hedera's native hashes are 48 bytes)
+  function isEvmHash(value) {
+    return /^(0x)?[0-9a-fA-F]{64}$/.test(value);
+  }
+
+  // The mirror node expects 0.0.x-seconds-nanos; wallets usually show 0.0.x@seconds.nanos
+  function normalizeTransactionId(transactionId) {
+    const match = /^(\d+\.\d+\.\d+)@(\d+)\.(\d+)$/.exec(transactionId);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : transactionId;
+  }
+
+  // GET a mirror path, mapping 404 to "Transaction not found"
+  async function getTransactionJson(path) {
+    try {
+      return await mirrorGetJson(path, { ttl: CACHE_TTL.transaction });
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error('Transaction not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the EVM execution result of a contract call or Ethereum transaction
+   * @param {string} hashOrId - Ethereum transaction hash (0x..., 32 bytes) or transaction ID
+   * @returns {Promise<Object>} - EVM result (status, gas, from/to, logs)
+   */
+  hederaAPI.getContractResult = async function(hashOrId) {
+    const id = normalizeTransactionId(hashOrId.trim());
+    const data = await getTransactionJson(`/api/v1/contracts/results/${id}`);
+
+    return {
+      hash: data.hash,
+      timestamp: data.timestamp,
+      blockNumber: data.block_number,
+      blockHash: data.block_hash,
+      from: data.from,
+      to: data.to,
+      contractId: data.contract_id,
+      createdContractIds: data.created_contract_ids || [],
+      // status is "0x1" on success; result holds the Hedera status code
+      success: data.status === '0x1',
+      status: data.status,
+      result: data.result,
+      errorMessage: data.error_message || null,
+      // error_message holds the raw revert data when the contract reverted with a reason
+      revertReason: data.status === '0x1' ? null : hederaAPI.decodeRevertReason(data.error_message),
+      amount: (data.amount || 0) / 100000000,
+      gasUsed: data.gas_used,
+      gasLimit: data.gas_limit,
+      gasPrice: data.gas_price,
+      nonce: data.nonce,
+      type: data.type,
+      callResult: data.call_result,
+      logs: (data.logs || []).map(log => ({
+        index: log.index,
+        address: log.address,
+        contractId: log.contract_id,
+        topics: log.topics || [],
+        data: log.data
+      }))
+    };
+  };
+
+  /**
+   * Get transaction details by transaction ID or Ethereum transaction hash
+   * @param {string} transactionId - Transaction ID (0.0.x-s-n or 0.0.x@s.n) or 32-byte EVM hash (0x...)
+   * @returns {Promise<Object>} - Transaction details, with `evm` holding the EVM result for contract transactions
+   */
+  hederaAPI.getTransactionById = async function(transactionId) {
+    try {
+      transactionId = transactionId.trim();
+
+      let data;
+      let evm = null;
+      if (isEvmHash(transactionId)) {
+        // /transactions/{id} only takes transaction IDs; resolve the hash through its contract result
+        evm = await hederaAPI.getContractResult(transactionId.startsWith('0x') ? transactionId : '0x' + transactionId);
+        data = await getTransactionJson(`/api/v1/transactions?timestamp=${evm.timestamp}`);
+      } else {
+        data = await getTransactionJson(`/api/v1/transactions/${normalizeTransactionId(transactionId)}`);
+      }
+      
+      if (data.transactions && data.transactions.length > 0) {
+        const tx = data.transactions[0];
+
+        if (!evm && CONTRACT_TRANSACTION_TYPES.includes(tx.name)) {
+          try {
+            evm = await hederaAPI.getContractResult(tx.transaction_id);
+          } catch (e) {
+            console.warn('Could not fetch contract result:', e);
+          }
+        }
+        
+        // Convert Base64 transaction hash to hex format 
+        let hexHash = tx.transaction_hash;
+        if (hexHash && !hexHash.startsWith('0x')) {
+          try {
+            // Decode Base64 to binary, then convert to hex
+            const binaryString = atob(hexHash);
+            hexHash = '0x' + Array.from(binaryString)
+              .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
+              .join('');
+          } catch (e) {
+            console.warn('Could not convert hash to hex:', e);
+          }
+        }
+        
+        
+        // Fetch block number based on consensus timestamp
+        let blockNumber = null;
+        try {
+          const blockEndpoint = `/api/v1/blocks?timestamp=gte:${tx.consensus_timestamp}&limit=1&order=asc`;
+          console.log('Fetching block from:', blockEndpoint);
+          // Not cached: the block may not be closed yet when the transaction is fresh
+          const blockData = await mirrorGetJson(blockEndpoint);
+          console.log('Block data:', blockData);
+          if (blockData.blocks && blockData.blocks.length > 0) {
+            blockNumber = blockData.blocks[0].number;
+            console.log('Block number found:', blockNumber);
+          } else {
+            console.warn('No blocks found in response');
+          }
+        } catch (e) {
+          console.warn('Could not fetch block number:', e);
+        }
+
+        const tokenTransfers = normalizeTokenTransfers(tx, await loadTokenInfos([tx]));
+
+        return {
+          id: tx.transaction_id,
+          hash: hexHash, // Transaction hash in hex format
+          consensusTimestamp: tx.consensus_timestamp,
+          result: tx.result,
+          name: tx.name,
+          memo: base64ToUtf8(tx.memo_base64),
+          charged_tx_fee: tx.charged_tx_fee / 100000000,
+          max_fee: tx.max_fee ? tx.max_fee / 100000000 : 0,
+          valid_start_timestamp: tx.valid_start_timestamp,
+          node: tx.node,
+          transfers: tx.transfers,
+          tokenTransfers: tokenTransfers.tokenTransfers,
+          nftTransfers: tokenTransfers.nftTransfers,
+          block_number: blockNumber,
+          evm: evm,
+          // Filled in by attachFiatValues
+          usdPerHbar: null,
+          usdValue: null,
+          usdFee: null,
+          raw: tx
+        };
+      }
+
+      throw new Error('Transaction not found');
+    } catch (error) {
+      console.error('Error fetching transaction:', error);
+      throw error;
+    }
+  };
+
+  // Create a Web3 instance on the relay and the signing account for a hex private key
+  function getSigner(fromPrivateKey) {
+    if (!fromPrivateKey || fromPrivateKey.length !== 64) {
+      throw new Error('Invalid private key format. Expected 64-character hex string.');
+    }
+
+    // Use Web3.js to create and sign the transaction
+    if (typeof Web3 === 'undefined') {
+      throw new Error('Web3.js is required for sending transactions');
+    }
+
+    const web3 = new Web3(getNetworkConfig().jsonRpcRelay);
+
+    // Add 0x prefix to private key if not present
+    const privateKey = fromPrivateKey.startsWith('0x') ? fromPrivateKey : '0x' + fromPrivateKey;
+
+    // Create account from private key
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    return { web3, account };
+  }
+
+  /**
+   * Estimate gas, sign and broadcast an EVM transaction through the JSON-RPC relay
+   * @param {string} fromPrivateKey - Sender's private key (hex format)
+   * @param {Object} txFields - { to (omitted for deployments), value (wei string), data, gas (skips estimation) }
+   * @param {number} fallbackGasLimit - Gas limit used when estimation fails
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async function sendEvmTransaction(fromPrivateKey, txFields, fallbackGasLimit) {
+    const config = getNetworkConfig();
+    const { web3, account } = getSigner(fromPrivateKey);
+    const fromAddress = account.address;
+
+    // Get current gas price
+    const gasPrice = await web3.eth.getGasPrice();
+
+    // Get nonce
+    const nonce = await web3.eth.getTransactionCount(fromAddress, 'pending');
+
+    const value = txFields.value || '0';
+    let gasLimit = txFields.gas;
+    if (!gasLimit) {
+      try {
+        const estimatedGas = await web3.eth.estimateGas({
+          from: fromAddress,
+          to: txFields.to,
+          value: value,
+          data: txFields.data
+        });
+        gasLimit = Math.floor(estimatedGas * 1.2); // Add 20% buffer
+        console.log('Estimated gas:', estimatedGas, 'Using:', gasLimit);
+      } catch (error) {
+        console.warn('Gas estimation failed, using fallback limit:', error.message);
+        gasLimit = fallbackGasLimit;
+      }
+    }
+
+    // Prepare transaction
+    const tx = {
+      from: fromAddress,
+      value: value,
+      gas: gasLimit,
+      gasPrice: gasPrice,
+      nonce: nonce,
+      chainId: config.chainId
+    };
+    if (txFields.to) {
+      tx.to = txFields.to;
+    }
+    if (txFields.data) {
+      tx.data = txFields.data;
+    }
+
+    // Sign transaction
+    const signedTx = await account.signTransaction(tx);
+
+    // Send transaction
+    const receipt = await web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+
+    // Balances and history of both parties are now stale
+    hederaAPI.invalidateCache([fromAddress, txFields.to]);
+
+    return {
+      success: true,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      from: receipt.from,
+      to: receipt.to,
+      gasUsed: receipt.gasUsed,
+      status: receipt.status,
+      contractAddress: receipt.contractAddress || null,
+      explorerUrl: hederaAPI.getExplorerUrl('transaction', receipt.transactionHash)
+    };
+  }
+
+  // Map relay/Web3 errors to user facing messages
+  function toSendError(error) {
+    let errorMessage = error.message;
+    if (error.message.includes('insufficient funds')) {
+      errorMessage = 'Insufficient balance to complete this transaction';
+    } else if (error.message.includes('nonce')) {
+      errorMessage = 'Transaction nonce error. Please try again.';
+    } else if (error.message.includes('gas')) {
+      errorMessage = 'Gas estimation failed. Please check the transaction details.';
+    }
+    return new Error(errorMessage);
+  }
+
+  // Precheck codes (ResponseCodeEnum) a node answers a submission with
+  const PRECHECK_CODES = {
+    0: 'OK',
+    1: 'INVALID_TRANSACTION',
+    2: 'PAYER_ACCOUNT_NOT_FOUND',
+    3: 'INVALID_NODE_ACCOUNT',
+    4: 'TRANSACTION_EXPIRED',
+    5: 'INVALID_TRANSACTION_START',
+    6: 'INVALID_TRANSACTION_DURATION',
+    7: 'INVALID_SIGNATURE',
+    8: 'MEMO_TOO_LONG',
+    9: 'INSUFFICIENT_TX_FEE',
+    10: 'INSUFFICIENT_PAYER_BALANCE',
+    11: 'DUPLICATE_TRANSACTION',
+    12: 'BUSY',
+    13: 'NOT_SUPPORTED',
+    15: 'INVALID_ACCOUNT_ID',
+    27: 'BAD_ENCODING',
+    28: 'INSUFFICIENT_ACCOUNT_BALANCE',
+    43: 'INVALID_PAYER_SIGNATURE',
+    48: 'INVALID_ACCOUNT_AMOUNTS'
+  };
+
+  // Map node status codes to user facing errors
+  function toNativeError(status) {
+    const messages = {
+      INSUFFICIENT_PAYER_BALANCE: 'Insufficient balance to complete this transaction',
+      INSUFFICIENT_ACCOUNT_BALANCE: 'Insufficient balance to complete this transaction',
+      INSUFFICIENT_TX_FEE: 'The transaction fee is too low',
+      INVALID_SIGNATURE: 'The private key does not control the paying account',
+      INVALID_PAYER_SIGNATURE: 'The private key does not control the paying account',
+      PAYER_ACCOUNT_NOT_FOUND: 'The paying account does not exist',
+      MEMO_TOO_LONG: 'Memo is too long (maximum 100 bytes)',
+      TRANSACTION_EXPIRED: 'Transaction expired before reaching consensus. Check your system clock.',
+      INVALID_TRANSACTION_START: 'Transaction start time rejected. Check your system clock.',
+      INVALID_STAKING_ID: 'The selected node or account cannot be staked to',
+      SELF_STAKING_IS_NOT_ALLOWED: 'An account cannot stake to itself',
+      INVALID_TOPIC_ID: 'The topic does not exist',
+      MESSAGE_SIZE_TOO_LARGE: 'Message must be at most 1024 bytes',
+      INVALID_SCHEDULE_ID: 'The schedule does not exist',
+      SCHEDULE_ALREADY_EXECUTED: 'The schedule has already been executed',
+      SCHEDULE_ALREADY_DELETED: 'The schedule has been deleted',
+      NO_NEW_VALID_SIGNATURES: 'This key is not required by the schedule or has already signed it',
+      SCHEDULE_PENDING_EXPIRATION: 'The schedule has all its signatures and executes at expiration'
+    };
+    const error = new Error(messages[status] || `Transaction failed: ${status}`);
+    error.status = status;
+    return error;
+  }
+
+  // gRPC-web unary call: one length-prefixed request frame, answered by a data frame and a trailer frame
+  async function grpcWebCall(node, method, requestBytes) {
+    const frame = new Uint8Array(5 + requestBytes.length);
+    new DataView(frame.buffer).setUint32(1, requestBytes.length);
+    frame.set(requestBytes, 5);
+
+    const response = await fetchWithTimeout(`${node.url}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/grpc-web+proto',
+        'X-Grpc-Web': '1',
+        'X-User-Agent': 'hedera-web-wallet'
+      },
+      body: frame
+    });
+    if (!response.ok) {
+      throw new Error(`Node ${node.accountId} returned HTTP ${response.status}`);
+    }
+
+    const body = new Uint8Array(await response.arrayBuffer());
+    let message = null;
+    let status = response.headers.get('grpc-status');
+    let statusMessage = response.headers.get('grpc-message');
+
+    for (let offset = 0; offset + 5 <= body.length;) {
+      const length = new DataView(body.buffer, body.byteOffset + offset + 1, 4).getUint32(0);
+      const payload = body.subarray(offset + 5, offset + 5 + length);
+      if (body[offset] & 0x80) {
+        // Trailers: "grpc-status: 0\r\ngrpc-message: ..."
+        new TextDecoder().decode(payload).split('\r\n').forEach(line => {
+          const separator = line.indexOf(':');
+          const key = line.substring(0, separator).trim().toLowerCase();
+          const value = line.substring(separator + 1).trim();
+          if (key === 'grpc-status') status = value;
+          if (key === 'grpc-message') statusMessage = decodeURIComponent(value);
+        });
+      } else {
+        message = payload;
+      }
+      offset += 5 + length;
+    }
+
+    if (status && status !== '0') {
+      throw new Error(`Node ${node.accountId} returned gRPC status ${status}${statusMessage ? `: ${statusMessage}` : ''}`);
+    }
+    if (!message) {
+      throw new Error(`Node ${node.accountId} returned no response`);
+    }
+    return message;
+  }
+
+  // Poll the mirror node until the record of a submitted transaction shows up
+  async function waitForTransactionRecord(mirrorTransactionId, timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      await sleep(2000);
+      try {
+        const data = await mirrorGetJson(`/api/v1/transactions/${mirrorTransactionId}`);
+        const transactions = data.transactions || [];
+        // Child records (e.g. hollow account creation) share the transaction ID
+        const parent = transactions.find(tx => !tx.parent_consensus_timestamp) || transactions[0];
+        if (parent) return parent;
+      } catch (error) {
+        if (error.status !== 404) {
+          console.warn('Could not fetch transaction record:', error);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sign a native transaction, submit it to a consensus node and wait for its record
+   * @param {Object} options - hederaTransaction.createTransaction options, without nodeAccountId
+   * @returns {Promise<Object>} - { transactionId, mirrorTransactionId, transactionHash, nodeAccountId, record, result, pending, fee, explorerUrl }
+   */
+  hederaAPI.executeNativeTransaction = async function(options) {
+    if (typeof hederaTransaction === 'undefined') {
+      throw new Error('hederaTransaction.js is required for native transactions');
+    }
+    const nodes = getNetworkConfig().consensusNodes || [];
+    if (nodes.length === 0) {
+      throw new Error('No consensus node is configured for this network');
+    }
+
+    // Every attempt shares one transaction ID, so the network rejects a resubmission
+    // as a duplicate when an earlier attempt did get through
+    const validStart = options.validStart || new Date(Date.now() - 10000);
+    const first = Math.floor(Math.random() * nodes.length);
+    let lastError = null;
+
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[(first + i) % nodes.length];
+      // The node account is part of the signed body, so each attempt is built for its node
+      const tx = await hederaTransaction.createTransaction({ ...options, validStart, nodeAccountId: node.accountId });
+
+      let status;
+      try {
+        const response = await grpcWebCall(node, tx.grpcMethod, tx.transactionBytes);
+        const precheck = hederaTransaction.decodeTransactionResponse(response).precheckCode;
+        status = PRECHECK_CODES[precheck] || `precheck code ${precheck}`;
+      } catch (error) {
+        console.warn(`Consensus node ${node.accountId} failed:`, error.message);
+        lastError = error;
+        continue;
+      }
+
+      if (status === 'BUSY') {
+        lastError = new Error(`Node ${node.accountId} is busy`);
+        continue;
+      }
+      if (status !== 'OK' && !(status === 'DUPLICATE_TRANSACTION' && lastError)) {
+        throw toNativeError(status);
+      }
+
+      const record = await waitForTransactionRecord(tx.mirrorTransactionId);
+      if (record && record.result !== 'SUCCESS') {
+        throw toNativeError(record.result);
+      }
+
+      return {
+        transactionId: tx.transactionId,
+        mirrorTransactionId: tx.mirrorTransactionId,
+        transactionHash: tx.hash,
+        nodeAccountId: node.accountId,
+        record: record,
+        result: record ? record.result : null,
+        // Accepted by the node but not yet visible on the mirror node
+        pending: !record,
+        fee: record ? record.charged_tx_fee / 100000000 : null,
+        explorerUrl: hederaAPI.getExplorerUrl('transaction', tx.hash)
+      };
+    }
+
+    throw lastError || new Error('No consensus node accepted the transaction');
+  };
+
+  /**
+   * Send HBAR as a native CryptoTransfer, which can carry a memo
+   * @param {string} fromPrivateKey - Sender's private key (hex format)
+   * @param {string} toAddress - Recipient's EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {number|string} amount - Amount in HBAR
+   * @param {string} memo - Transaction memo (UTF-8, at most 100 bytes)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.sendNativeHBAR = async function(fromPrivateKey, toAddress, amount, memo = '') {
+    try {
+      const { account } = getSigner(fromPrivateKey);
+      const tinybars = parseUnits(typeof amount === 'number' ? amount.toFixed(8) : String(amount), 8);
+      if (tinybars <= 0n) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      const payer = await hederaAPI.getBalance(account.address);
+
+      // Existing recipients are paid by account ID; an unknown EVM address is paid
+      // through its alias, which creates the account
+      let recipient = toAddress;
+      try {
+        recipient = (await hederaAPI.getBalance(toAddress)).accountId;
+      } catch (error) {
+        if (!error.message.includes('not found') || !toAddress.startsWith('0x')) {
+          throw error;
+        }
+      }
+
+      const result = await hederaAPI.executeNativeTransaction({
+        payerAccountId: payer.accountId,
+        privateKey: fromPrivateKey.replace(/^0x/, ''),
+        type: 'cryptoTransfer',
+        memo: memo,
+        // Transfers are cheap; the SDKs' 2 HBAR default would lock up more balance than needed
+        transactionFee: 100000000,
+        data: {
+          transfers: [
+            { accountId: payer.accountId, amount: -tinybars },
+            { accountId: recipient, amount: tinybars }
+          ]
+        }
+      });
+
+      hederaAPI.invalidateCache([account.address, toAddress]);
+
+      return {
+        success: true,
+        transactionHash: result.transactionHash,
+        transactionId: result.transactionId,
+        from: account.address,
+        to: toAddress,
+        memo: memo,
+        gasUsed: null,
+        fee: result.fee,
+        pending: result.pending,
+        status: true,
+        explorerUrl: result.explorerUrl
+      };
+    } catch (error) {
+      console.error('Error sending native HBAR transfer:', error);
+      throw error.status ? error : toSendError(error);
+    }
+  };
+
+  /**
+   * Change an account's staking election with a native CryptoUpdate signed by the account's key
+   * @param {string} privateKey - Account's private key (hex format)
+   * @param {Object} election - { stakedNodeId, stakedAccountId, declineReward }; without a node or account, staking stops
+   * @returns {Promise<Object>} - { transactionId, transactionHash, fee, pending, explorerUrl, ... }
+   */
+  hederaAPI.updateStakingElection = async function(privateKey, election = {}) {
+    try {
+      const { account } = getSigner(privateKey);
+      const owner = await hederaAPI.getBalance(account.address);
+
+      const hasNode = election.stakedNodeId !== undefined && election.stakedNodeId !== null;
+      const hasAccount = !!election.stakedAccountId;
+      if (hasAccount) {
+        if (!/^\d+\.\d+\.\d+$/.test(election.stakedAccountId)) {
+          throw new Error(`Invalid account ID: ${election.stakedAccountId}`);
+        }
+        if (election.stakedAccountId === owner.accountId) {
+          throw new Error('An account cannot stake to itself');
+        }
+      }
+
+      const result = await hederaAPI.executeNativeTransaction({
+        payerAccountId: owner.accountId,
+        privateKey: privateKey.replace(/^0x/, ''),
+        type: 'cryptoUpdateAccount',
+        transactionFee: 100000000,
+        data: {
+          accountId: owner.accountId,
+          stakedAccountId: hasAccount ? election.stakedAccountId : null,
+          // -1 clears the election, as the SDKs' clearStakedNodeId does
+          stakedNodeId: hasAccount ? null : (hasNode ? election.stakedNodeId : -1),
+          declineReward: election.declineReward === undefined ? null : !!election.declineReward
+        }
+      });
+
+      hederaAPI.invalidateCache([account.address, owner.accountId]);
+      return { ...result, accountId: owner.accountId };
+    } catch (error) {
+      console.error('Error updating staking election:', error);
+      throw error.status ? error : toSendError(error);
+    }
+  };
+
+  /**
+   * Complete a hollow account by paying for a CryptoUpdate with the ECDSA key behind its EVM
+   * address. The network sets that key on the payer before applying the update, which sets it again.
+   * @param {string} privateKey - ECDSA private key of the account's EVM address (hex format)
+   * @returns {Promise<Object>} - { transactionId, transactionHash, fee, pending, accountId, ... }
+   */
+  hederaAPI.completeHollowAccount = async function(privateKey) {
+    try {
+      const { account } = getSigner(privateKey);
+      const key = privateKey.replace(/^0x/, '');
+
+      const owner = await hederaAPI.getBalance(account.address, { fresh: true });
+      if (!owner.hollow) {
+        throw new Error('This account already has a key and does not need to be completed');
+      }
+
+      const result = await hederaAPI.executeNativeTransaction({
+        payerAccountId: owner.accountId,
+        privateKey: key,
+        type: 'cryptoUpdateAccount',
+        transactionFee: 100000000,
+        data: {
+          accountId: owner.accountId,
+          key: hederaTransaction.getPublicKey(key)
+        }
+      });
+
+      hederaAPI.invalidateCache([account.address, owner.accountId]);
+      return { ...result, accountId: owner.accountId };
+    } catch (error) {
+      console.error('Error completing hollow account:', error);
+      throw error.status ? error : toSendError(error);
+    }
+  };
+
+  /**
+   * Submit a message to an HCS topic with a native ConsensusSubmitMessage.
+   * Topics with a submit key only accept messages signed by that key.
+   * @param {string} privateKey - Payer's private key (hex format)
+   * @param {string} topicId - Topic ID (0.0.xxxx)
+   * @param {string} message - UTF-8 message, at most 1024 bytes
+   * @returns {Promise<Object>} - { transactionId, transactionHash, fee, pending, explorerUrl, ... }
+   */
+  hederaAPI.submitTopicMessage = async function(privateKey, topicId, message) {
+    try {
+      const { account } = getSigner(privateKey);
+      const payer = await hederaAPI.getBalance(account.address);
+
+      const result = await hederaAPI.executeNativeTransaction({
+        payerAccountId: payer.accountId,
+        privateKey: privateKey.replace(/^0x/, ''),
+        type: 'consensusSubmitMessage',
+        transactionFee: 100000000,
+        data: { topicId: topicId.trim(), message: message }
+      });
+
+      hederaAPI.invalidateCache(account.address);
+      return { ...result, topicId: topicId.trim() };
+    } catch (error) {
+      console.error('Error submitting topic message:', error);
+      throw error.status ? error : toSendError(error);
+    }
+  };
+
+  /**
+   * Add the wallet's signature to a scheduled transaction with a native ScheduleSign.
+   * The schedule executes once it has collected every required signature.
+   * @param {string} privateKey - Signer's private key (hex format); its account pays the fee
+   * @param {string} scheduleId - Schedule ID (0.0.xxxx)
+   * @returns {Promise<Object>} - { transactionId, transactionHash, fee, pending, scheduleId, ... }
+   */
+  hederaAPI.signSchedule = async function(privateKey, scheduleId) {
+    try {
+      const { account } = getSigner(privateKey);
+      const key = privateKey.replace(/^0x/, '');
+
+      const schedule = await hederaAPI.getSchedule(scheduleId, { fresh: true });
+      if (schedule.status !== 'pending') {
+        throw new Error(`Schedule has already ${schedule.status === 'expired' ? 'expired' : 'been ' + schedule.status}`);
+      }
+      const publicKey = '0x' + hederaTransaction.bytesToHex(hederaTransaction.getPublicKey(key));
+      // Signers may send only a prefix of their public key
+      if (schedule.signatures.some(signature => signature.publicKeyPrefix.length > 2 && publicKey.startsWith(signature.publicKeyPrefix))) {
+        throw new Error('This wallet has already signed the schedule');
+      }
+
+      const signer = await hederaAPI.getBalance(account.address);
+      const result = await hederaAPI.executeNativeTransaction({
+        payerAccountId: signer.accountId,
+        privateKey: key,
+        type: 'scheduleSign',
+        transactionFee: 100000000,
+        data: { scheduleId: schedule.scheduleId }
+      });
+
+      hederaAPI.invalidateCache(account.address);
+      return { ...result, scheduleId: schedule.scheduleId };
+    } catch (error) {
+      console.error('Error signing schedule:', error);
+      throw error.status ? error : toSendError(error);
+    }
+  };
+
+  /**
+   * Send HBAR using JSON-RPC Relay (EVM-compatible)
+   * @param {string} fromPrivateKey - Sender's private key (hex format)
+   * @param {string} toAddress - Recipient's EVM address (0x...) - Account IDs should be converted to EVM addresses before calling
+   * @param {number} amount - Amount in HBAR
+   * @param {string} memo - Optional memo; the relay cannot carry one, so memo transfers are sent natively
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.sendHBAR = async function(fromPrivateKey, toAddress, amount, memo = '') {
+    if (memo) {
+      return hederaAPI.sendNativeHBAR(fromPrivateKey, toAddress, amount, memo);
+    }
+
+    try {
+      // Validate inputs
+      if (!toAddress || !toAddress.startsWith('0x')) {
+        throw new Error('Invalid recipient address. Expected EVM address (0x...)');
+      }
+
+      if (amount <= 0) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      // Convert HBAR to Wei (1 HBAR = 10^18 Wei in EVM context)
+      const amountString = typeof amount === 'number' ? amount.toFixed(18) : amount.toString();
+      const amountInWei = Web3.utils.toWei(amountString, 'ether');
+
+      // 21000 covers existing accounts; a failed estimate usually means the
+      // recipient will be auto-created, which needs a much higher limit
+      return await sendEvmTransaction(fromPrivateKey, { to: toAddress, value: amountInWei }, 800000);
+    } catch (error) {
+      console.error('Error sending HBAR:', error);
+      throw toSendError(error);
+    }
+  };
+
+  /**
+   * Convert an entity ID (0.0.xxxx) to its long-zero EVM address
+   * @param {string} entityId - Token, account or contract ID
+   * @returns {string} - EVM address (0x...)
+   */
+  hederaAPI.entityIdToEvmAddress = function(entityId) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec((entityId || '').trim());
+    if (!match) {
+      throw new Error(`Invalid entity ID: ${entityId}`);
+    }
+    const [, shard, realm, num] = match;
+    return '0x' +
+      BigInt(shard).toString(16).padStart(8, '0') +
+      BigInt(realm).toString(16).padStart(16, '0') +
+      BigInt(num).toString(16).padStart(16, '0');
+  };
+
+  /**
+   * Parse a decimal token amount into its integer representation
+   * @param {string|number} amount - Amount, e.g. "12.5"
+   * @param {number} decimals - Token decimals
+   * @returns {bigint} - Amount in the token's smallest unit
+   */
+  function parseUnits(amount, decimals) {
+    const value = String(amount).trim();
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+      throw new Error('Invalid amount');
+    }
+    const [whole, fraction = ''] = value.split('.');
+    if (fraction.length > decimals) {
+      throw new Error(`Amount has more than ${decimals} decimal places`);
+    }
+    return BigInt(whole + fraction.padEnd(decimals, '0'));
+  }
+
+  hederaAPI.parseUnits = parseUnits;
+
+  // ABI fragment of ERC-20 transfer(address,uint256)
+  const ERC20_TRANSFER_ABI = {
+    name: 'transfer',
+    type: 'function',
+    inputs: [
+      { type: 'address', name: 'to' },
+      { type: 'uint256', name: 'amount' }
+    ]
+  };
+
+  // Encode an ERC-20 transfer call for a token amount in smallest units
+  function encodeTokenTransfer(toAddress, units) {
+    return new Web3().eth.abi.encodeFunctionCall(ERC20_TRANSFER_ABI, [toAddress, units.toString()]);
+  }
+
+  /**
+   * Estimate the HBAR fee of an ERC-20 token transfer through the relay
+   * @param {string} fromAddress - Sender's EVM address
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @param {string} toAddress - Recipient's EVM address
+   * @param {string} amount - Decimal token amount
+   * @param {number} decimals - Token decimals
+   * @returns {Promise<Object>} - { gasLimit, gasPrice, feeHbar }
+   */
+  hederaAPI.estimateTokenTransferFee = async function(fromAddress, tokenId, toAddress, amount, decimals) {
+    const web3 = new Web3(getNetworkConfig().jsonRpcRelay);
+    const gasPrice = await web3.eth.getGasPrice();
+    const gasLimit = await web3.eth.estimateGas({
+      from: fromAddress,
+      to: hederaAPI.entityIdToEvmAddress(tokenId),
+      data: encodeTokenTransfer(toAddress, parseUnits(amount, decimals))
+    });
+    const feeWei = BigInt(gasLimit) * BigInt(gasPrice);
+    return {
+      gasLimit: Number(gasLimit),
+      gasPrice: gasPrice.toString(),
+      feeHbar: parseFloat(web3.utils.fromWei(feeWei.toString(), 'ether'))
+    };
+  };
+
+  /**
+   * Send an HTS fungible token as an ERC-20 transfer through the JSON-RPC relay
+   * @param {string} fromPrivateKey - Sender's private key (hex format)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @param {string} toAddress - Recipient's EVM address (0x...)
+   * @param {string} amount - Decimal token amount, e.g. "12.5"
+   * @param {number} decimals - Token decimals
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.sendToken = async function(fromPrivateKey, tokenId, toAddress, amount, decimals) {
+    try {
+      if (!toAddress || !/^0x[a-fA-F0-9]{40}$/.test(toAddress)) {
+        throw new Error('Invalid recipient address. Expected EVM address (0x...)');
+      }
+
+      const units = parseUnits(amount, decimals);
+      if (units <= 0n) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      const result = await sendEvmTransaction(fromPrivateKey, {
+        to: hederaAPI.entityIdToEvmAddress(tokenId),
+        value: '0',
+        data: encodeTokenTransfer(toAddress, units)
+      }, 150000);
+
+      // The transaction targets the token contract, so clear the recipient explicitly
+      hederaAPI.invalidateCache(toAddress);
+
+      return { ...result, to: toAddress, tokenId: tokenId };
+    } catch (error) {
+      console.error('Error sending token:', error);
+      throw toSendError(error);
+    }
+  };
+
+
+  // HIP-719 selectors, called directly on the token's EVM address
+  const TOKEN_ASSOCIATE_SELECTOR = '0x0a754de6'; // associate()
+  const TOKEN_DISSOCIATE_SELECTOR = '0x5c9217e0'; // dissociate()
+
+  // Call a parameterless HIP-719 token function as the key's account
+  async function callTokenFacade(fromPrivateKey, tokenId, selector) {
+    const result = await sendEvmTransaction(fromPrivateKey, {
+      to: hederaAPI.entityIdToEvmAddress(tokenId),
+      value: '0',
+      data: selector
+    }, 1000000);
+    if (!result.status) {
+      throw new Error('Transaction reverted');
+    }
+    return { ...result, tokenId: tokenId };
+  }
+
+  /**
+   * Associate the account of a private key with an HTS token (HIP-719)
+   * @param {string} fromPrivateKey - Account's private key (hex format)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.associateToken = async function(fromPrivateKey, tokenId) {
+    try {
+      return await callTokenFacade(fromPrivateKey, tokenId, TOKEN_ASSOCIATE_SELECTOR);
+    } catch (error) {
+      console.error('Error associating token:', error);
+      throw toSendError(error);
+    }
+  };
+
+  /**
+   * Dissociate the account of a private key from an HTS token (HIP-719).
+   * The account's balance of the token must be zero.
+   * @param {string} fromPrivateKey - Account's private key (hex format)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.dissociateToken = async function(fromPrivateKey, tokenId) {
+    try {
+      return await callTokenFacade(fromPrivateKey, tokenId, TOKEN_DISSOCIATE_SELECTOR);
+    } catch (error) {
+      console.error('Error dissociating token:', error);
+      throw toSendError(error);
+    }
+  };
+
+  // Approval functions: ERC-20 / ERC-721 on the token address, HIP-906 hbarApprove on the owner's own address
+  const ALLOWANCE_ABIS = {
+    approve: {
+      name: 'approve',
+      type: 'function',
+      inputs: [
+        { type: 'address', name: 'spender' },
+        { type: 'uint256', name: 'amount' }
+      ]
+    },
+    setApprovalForAll: {
+      name: 'setApprovalForAll',
+      type: 'function',
+      inputs: [
+        { type: 'address', name: 'operator' },
+        { type: 'bool', name: 'approved' }
+      ]
+    },
+    hbarApprove: {
+      name: 'hbarApprove',
+      type: 'function',
+      inputs: [
+        { type: 'address', name: 'spender' },
+        { type: 'int256', name: 'amount' }
+      ]
+    }
+  };
+
+  // Spenders may be given as EVM addresses or account IDs
+  function toSpenderAddress(spender) {
+    const value = (spender || '').trim();
+    if (/^0x[a-fA-F0-9]{40}$/.test(value)) {
+      return value;
+    }
+    if (/^\d+\.\d+\.\d+$/.test(value)) {
+      return hederaAPI.entityIdToEvmAddress(value);
+    }
+    throw new Error('Invalid spender. Expected an EVM address (0x...) or Account ID (0.0.xxxx)');
+  }
+
+  async function sendApproval(fromPrivateKey, to, abi, params) {
+    const result = await sendEvmTransaction(fromPrivateKey, {
+      to: to,
+      value: '0',
+      data: new Web3().eth.abi.encodeFunctionCall(abi, params)
+    }, 1000000);
+    if (!result.status) {
+      throw new Error('Transaction reverted');
+    }
+    return result;
+  }
+
+  /**
+   * Grant (or with amount 0, revoke) an ERC-20 style allowance on a fungible HTS token
+   * @param {string} fromPrivateKey - Owner's private key (hex format)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @param {string} spender - Spender's EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {string} amount - Decimal token amount; "0" revokes
+   * @param {number} decimals - Token decimals
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.approveToken = async function(fromPrivateKey, tokenId, spender, amount, decimals) {
+    try {
+      const units = parseUnits(amount, decimals);
+      const result = await sendApproval(fromPrivateKey, hederaAPI.entityIdToEvmAddress(tokenId),
+        ALLOWANCE_ABIS.approve, [toSpenderAddress(spender), units.toString()]);
+      return { ...result, tokenId: tokenId, spender: spender };
+    } catch (error) {
+      console.error('Error approving token allowance:', error);
+      throw toSendError(error);
+    }
+  };
+
+  /**
+   * Approve or revoke a spender for all of the owner's NFTs of a collection
+   * @param {string} fromPrivateKey - Owner's private key (hex format)
+   * @param {string} tokenId - NFT collection token ID (0.0.xxxx)
+   * @param {string} spender - Spender's EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {boolean} approved - false revokes
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.setNftApprovalForAll = async function(fromPrivateKey, tokenId, spender, approved) {
+    try {
+      const result = await sendApproval(fromPrivateKey, hederaAPI.entityIdToEvmAddress(tokenId),
+        ALLOWANCE_ABIS.setApprovalForAll, [toSpenderAddress(spender), !!approved]);
+      return { ...result, tokenId: tokenId, spender: spender };
+    } catch (error) {
+      console.error('Error changing NFT approval:', error);
+      throw toSendError(error);
+    }
+  };
+
+  /**
+   * Grant (or with amount 0, revoke) an HBAR allowance through the HIP-906 account facade
+   * @param {string} fromPrivateKey - Owner's private key (hex format)
+   * @param {string} spender - Spender's EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {string} amount - Amount in HBAR; "0" revokes
+   * @returns {Promise<Object>} - Transaction result
+   */
+  hederaAPI.approveHbar = async function(fromPrivateKey, spender, amount) {
+    try {
+      const { account } = getSigner(fromPrivateKey);
+      const tinybars = parseUnits(amount, 8);
+      // The facade acts on the account it is called on, so the owner calls its own address
+      const result = await sendApproval(fromPrivateKey, account.address,
+        ALLOWANCE_ABIS.hbarApprove, [toSpenderAddress(spender), tinybars.toString()]);
+      return { ...result, spender: spender };
+    } catch (error) {
+      console.error('Error approving HBAR allowance:', error);
+      throw toSendError(error);
+    }
+  };
+
+  /**
+   * Check whether an account can receive a token
+   * @param {string} address - EVM address (0x...) or Account ID (0.0.xxxx)
+   * @param {string} tokenId - Token ID (0.0.xxxx)
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} - { accountExists, associated, maxAutomaticAssociations, freeAutomaticSlots, canReceive }
+   */
+  hederaAPI.getTokenAssociation = async function(address, tokenId, options = {}) {
+    address = address.trim();
+
+    let account;
+    try {
+      account = await hederaAPI.getBalance(address, options);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        // Transfers to a new EVM alias create the account with unlimited automatic associations
+        const isAlias = hederaAPI.validateAddress(address).type === 'evm';
+        return {
+          accountExists: false,
+          associated: false,
+          maxAutomaticAssociations: isAlias ? -1 : 0,
+          freeAutomaticSlots: null,
+          canReceive: isAlias
+        };
+      }
+      throw error;
+    }
+
+    const relationship = await mirrorGetJson(
+      `/api/v1/accounts/${account.accountId}/tokens?token.id=${tokenId}`,
+      { ttl: CACHE_TTL.tokens, fresh: options.fresh }
+    );
+    const associated = (relationship.tokens || []).length > 0;
+    const maxAutomatic = account.maxAutomaticTokenAssociations || 0;
+
+    // Count the automatic associations already in use when the account has a fixed number of slots
+    let freeAutomaticSlots = null;
+    if (!associated && maxAutomatic > 0) {
+      let used = 0;
+      let path = `/api/v1/accounts/${account.accountId}/tokens?limit=100`;
+      for (let page = 0; path && page < MAX_PAGES; page++) {
+        const data = await mirrorGetJson(path, { ttl: CACHE_TTL.tokens, fresh: options.fresh });
+        used += (data.tokens || []).filter(token => token.automatic_association).length;
+        path = data.links && data.links.next;
+      }
+      freeAutomaticSlots = Math.max(maxAutomatic - used, 0);
+    }
+
+    return {
+      accountExists: true,
+      associated: associated,
+      maxAutomaticAssociations: maxAutomatic,
+      freeAutomaticSlots: freeAutomaticSlots,
+      canReceive: associated || maxAutomatic === -1 || freeAutomaticSlots > 0
+    };
+  };
+
+  /**
+   * Parse ABI JSON, either a plain array or a compiler artifact with an "abi" field
+   * @param {string|Array|Object} abiJson - ABI JSON text or parsed value
+   * @returns {Array} - ABI fragments
+   */
+  hederaAPI.parseAbi = function(abiJson) {
+    let abi = abiJson;
+    if (typeof abi === 'string') {
+      try {
+        abi = JSON.parse(abi);
+      } catch (error) {
+        throw new Error('Invalid ABI JSON: ' + error.message);
+      }
+    }
+    if (abi && !Array.isArray(abi) && Array.isArray(abi.abi)) {
+      abi = abi.abi;
+    }
+    if (!Array.isArray(abi) || abi.some(fragment => !fragment || typeof fragment.type !== 'string')) {
+      throw new Error('Invalid ABI: expected an array of fragments');
+    }
+    return abi;
+  };
+
+  /**
+   * Whether an ABI function only reads state (view or pure, or constant in old ABIs)
+   * @param {Object} fragment - ABI function fragment
+   * @returns {boolean}
+   */
+  hederaAPI.isReadOnlyFunction = function(fragment) {
+    return fragment.type === 'function' &&
+      (fragment.stateMutability === 'view' || fragment.stateMutability === 'pure' || fragment.constant === true);
+  };
+
+  /**
+   * Resolve a contract ID to the EVM address calls are sent to
+   * @param {string} contract - Contract ID (0.0.xxxx) or EVM address (0x...)
+   * @returns {Promise<string>} - EVM address (0x...)
+   */
+  hederaAPI.resolveContractAddress = async function(contract) {
+    const value = (contract || '').trim();
+    if (/^0x[a-fA-F0-9]{40}$/.test(value)) {
+      return value;
+    }
+    if (!/^\d+\.\d+\.\d+$/.test(value)) {
+      throw new Error('Invalid contract. Expected a contract ID (0.0.xxxx) or EVM address (0x...)');
+    }
+
+    try {
+      // Contracts created with CREATE2 have an EVM address other than their long-zero form
+      const data = await mirrorGetJson(`/api/v1/contracts/${value}`, { ttl: CACHE_TTL.contracts });
+      return data.evm_address || hederaAPI.entityIdToEvmAddress(value);
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error('Contract not found');
+      }
+      throw error;
+    }
+  };
+
+  // Turn a form value into what web3's ABI coder expects for the parameter type
+  function coerceAbiValue(param, raw) {
+    const label = param.name || param.type;
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    if (param.type.endsWith(']') || param.type.startsWith('tuple')) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${label}: expected a JSON ${param.type.endsWith(']') ? 'array' : 'array or object'}`);
+      }
+    }
+    if (param.type === 'bool') {
+      if (!/^(true|false|1|0)$/i.test(value)) {
+        throw new Error(`${label}: expected true or false`);
+      }
+      return /^(true|1)$/i.test(value);
+    }
+    if (param.type === 'address') {
+      // Account and contract IDs are accepted in their long-zero form
+      const address = /^\d+\.\d+\.\d+$/.test(value) ? hederaAPI.entityIdToEvmAddress(value) : value;
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        throw new Error(`${label}: expected an EVM address (0x...) or entity ID (0.0.xxxx)`);
+      }
+      return address;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+      if (!/^-?\d+$/.test(value) && !/^0x[0-9a-fA-F]+$/.test(value)) {
+        throw new Error(`${label}: expected an integer`);
+      }
+      return value;
+    }
+    if (/^bytes\d*$/.test(param.type) && !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+      throw new Error(`${label}: expected 0x-prefixed hex bytes`);
+    }
+    return value;
+  }
+
+  /**
+   * ABI-encode a function call from form values
+   * @param {Object} fragment - ABI function fragment
+   * @param {Array} values - One value per input; strings are converted to the input's type
+   * @returns {string} - Call data (0x...)
+   */
+  hederaAPI.encodeFunctionCall = function(fragment, values = []) {
+    const inputs = fragment.inputs || [];
+    if (values.length !== inputs.length) {
+      throw new Error(`${fragment.name} expects ${inputs.length} argument${inputs.length === 1 ? '' : 's'}`);
+    }
+    const args = inputs.map((input, i) => coerceAbiValue(input, values[i]));
+    return new Web3().eth.abi.encodeFunctionCall(fragment, args);
+  };
+
+  // Make decoded values printable: web3 returns numbers as strings and
+  // structs as objects with both index and name keys
+  function normalizeDecodedValue(param, value) {
+    if (param.type.endsWith(']')) {
+      const element = { ...param, type: param.type.replace(/\[\d*\]$/, '') };
+      return Array.from(value).map(item => normalizeDecodedValue(element, item));
+    }
+    if (param.type === 'tuple') {
+      const result = {};
+      (param.components || []).forEach((component, i) => {
+        result[component.name || i] = normalizeDecodedValue(component, value[i]);
+      });
+      return result;
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+
+  /**
+   * Decode function return data
+   * @param {Object} fragment - ABI function fragment
+   * @param {string} data - Return data (0x...)
+   * @returns {Array} - [{ name, type, value }]
+   */
+  hederaAPI.decodeFunctionResult = function(fragment, data) {
+    const outputs = fragment.outputs || [];
+    if (outputs.length === 0) {
+      return [];
+    }
+    if (!data || data === '0x') {
+      throw new Error('The call returned no data. Is this the right contract and ABI?');
+    }
+    const decoded = new Web3().eth.abi.decodeParameters(outputs, data);
+    return outputs.map((output, i) => ({
+      name: output.name || '',
+      type: output.type,
+      value: normalizeDecodedValue(output, decoded[i])
+    }));
+  };
+
+  /**
+   * Call a view or pure contract function without a transaction
+   * @param {string} contract - Contract ID (0.0.xxxx) or EVM address (0x...)
+   * @param {Object} fragment - ABI function fragment
+   * @param {Array} values - Argument values, see encodeFunctionCall
+   * @param {Object} options - { via: 'relay' (eth_call, default) or 'mirror' (/api/v1/contracts/call), from, abi (for custom errors) }
+   * @returns {Promise<Object>} - { to, data, result, outputs: [{ name, type, value }] }
+   */
+  hederaAPI.callContract = async function(contract, fragment, values = [], options = {}) {
+    const to = await hederaAPI.resolveContractAddress(contract);
+    const data = hederaAPI.encodeFunctionCall(fragment, values);
+
+    let result;
+    if (options.via === 'mirror') {
+      const response = await mirrorFetch('/api/v1/contracts/call', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, data, from: options.from, block: 'latest', estimate: false })
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const message = (body._status && body._status.messages && body._status.messages[0]) || {};
+        const reason = hederaAPI.decodeRevertReason(message.data, options.abi) || message.detail;
+        if (message.message === 'CONTRACT_REVERT_EXECUTED') {
+          throw createRevertError(reason, message.data);
+        }
+        throw new Error([message.message || `API Error: ${response.status}`, message.detail].filter(Boolean).join(': '));
+      }
+      result = body.result;
+    } else {
+      const web3 = new Web3(getNetworkConfig().jsonRpcRelay);
+      try {
+        result = await web3.eth.call({ to, data, from: options.from });
+      } catch (error) {
+        throw toRevertError(error, options.abi) || error;
+      }
+    }
+
+    return {
+      to: to,
+      data: data,
+      result: result,
+      outputs: hederaAPI.decodeFunctionResult(fragment, result)
+    };
+  };
+
+  // Pad a topic filter to 32 bytes; addresses and entity IDs become their 20-byte address
+  function normalizeTopic(topic) {
+    let value = String(topic).trim();
+    if (/^\d+\.\d+\.\d+$/.test(value)) {
+      value = hederaAPI.entityIdToEvmAddress(value);
+    }
+    if (!/^0x[0-9a-fA-F]{1,64}$/.test(value)) {
+      throw new Error(`Invalid topic: ${topic}. Expected hex (0x...), an address or an entity ID`);
+    }
+    return '0x' + value.substring(2).toLowerCase().padStart(64, '0');
+  }
+
+  // Mirror node timestamps are "seconds.nanos"; Dates and millisecond numbers are converted
+  function toMirrorTimestamp(value) {
+    if (value instanceof Date || typeof value === 'number') {
+      const ms = value instanceof Date ? value.getTime() : value;
+      return `${Math.floor(ms / 1000)}.${String((ms % 1000) * 1000000).padStart(9, '0')}`;
+    }
+    return String(value);
+  }
 
   /**
-   * Get transaction history using Hedera Mirror Node API
-   * @param {string} address - EVM address or Account ID
-   * @param {Object} options - Query options (limit, order, timestamp)
-   * @returns {Promise<Object>} - Transaction history
+   * Get the event logs emitted by a contract, newest first
+   * @param {string} contract - Contract ID (0.0.xxxx) or EVM address (0x...)
+   * @param {Object} options - {
+   *   topics: [topic0, topic1, topic2, topic3] (empty entries match anything),
+   *   from, to (Date, ms or "seconds.nanos"), limit, order, next (links.next of a previous page), fresh
+   * }
+   * @returns {Promise<Object>} - { logs: [...], next }
    */
-  hederaAPI.getTransactionHistory = async function(address, options = {}) {
-    try {
-      const config = getNetworkConfig();
-      address = address.trim();
+  hederaAPI.getContractLogs = async function(contract, options = {}) {
+    let path = options.next;
+    if (!path) {
+      const value = (contract || '').trim();
+      if (!/^0x[a-fA-F0-9]{40}$/.test(value) && !/^\d+\.\d+\.\d+$/.test(value)) {
+        throw new Error('Invalid contract. Expected a contract ID (0.0.xxxx) or EVM address (0x...)');
+      }
 
-      // Build query parameters for account endpoint
       const params = new URLSearchParams();
       params.append('limit', options.limit || 25);
       params.append('order', options.order || 'desc');
-      
-      if (options.timestamp) {
-        params.append('timestamp', options.timestamp);
+      (options.topics || []).forEach((topic, i) => {
+        if (topic) {
+          params.append(`topic${i}`, normalizeTopic(topic));
+        }
+      });
+      // The mirror node only accepts topic filters together with a timestamp range
+      if (options.from) {
+        params.append('timestamp', `gte:${toMirrorTimestamp(options.from)}`);
       }
-
-      // Use the account endpoint which includes transactions
-      let endpoint;
-      if (address.startsWith('0x')) {
-        endpoint = `${config.mirrorNode}/api/v1/accounts/${address}?${params}`;
-      } else if (address.match(/^\d+\.\d+\.\d+$/)) {
-        endpoint = `${config.mirrorNode}/api/v1/accounts/${address}?${params}`;
-      } else {
-        throw new Error('Invalid address format');
+      if (options.to) {
+        params.append('timestamp', `lte:${toMirrorTimestamp(options.to)}`);
       }
+      path = `/api/v1/contracts/${value}/results/logs?${params}`;
+    }
 
-      const response = await fetch(endpoint);
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Account not found');
-        }
-        throw new Error(`API Error: ${response.status}`);
+    let data;
+    try {
+      data = await mirrorGetJson(path, { ttl: CACHE_TTL.logs, fresh: options.fresh });
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error('Contract not found');
       }
-
-      const data = await response.json();
-
-      // Check if transactions exist in response
-      if (!data.transactions || data.transactions.length === 0) {
-        return {
-          transactions: [],
-          links: data.links || {}
-        };
+      if (error.status === 400) {
+        throw new Error('The mirror node rejected the filter. Topic filters need a timestamp range (at most 7 days).');
       }
+      throw error;
+    }
 
-      // Process transactions
-      const transactions = data.transactions.map(tx => {
-        // Determine transaction type and amount
-        let type = 'unknown';
-        let amount = 0;
-        let counterparty = null;
-
-        if (tx.transfers && tx.transfers.length > 0) {
-          // Find transfers involving our address
-          const accountId = data.account; // Use the account ID from response
-          const ourTransfers = tx.transfers.filter(t => 
-            t.account === address || 
-            t.account === accountId
-          );
-
-          if (ourTransfers.length > 0) {
-            const transfer = ourTransfers[0];
-            amount = Math.abs(transfer.amount) / 100000000; // Convert to HBAR
-            
-            if (transfer.amount > 0) {
-              type = 'receive';
-              // Find sender
-              const senderTransfer = tx.transfers.find(t => t.amount < 0);
-              if (senderTransfer) counterparty = senderTransfer.account;
-            } else {
-              type = 'send';
-              // Find receiver
-              const receiverTransfer = tx.transfers.find(t => t.amount > 0 && t.account !== address && t.account !== accountId);
-              if (receiverTransfer) counterparty = receiverTransfer.account;
-            }
-          }
-        }
-
-        // Convert Base64 transaction hash to hex format
-        let hexHash = tx.transaction_hash;
-        if (hexHash && !hexHash.startsWith('0x')) {
-          try {
-            const binaryString = atob(hexHash);
-            hexHash = '0x' + Array.from(binaryString)
-              .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
-              .join('');
-          } catch (e) {
-            console.warn('Could not convert hash to hex:', e);
-          }
-        }
+    return {
+      logs: (data.logs || []).map(log => ({
+        timestamp: log.timestamp,
+        address: log.address,
+        contractId: log.contract_id,
+        rootContractId: log.root_contract_id,
+        blockNumber: log.block_number,
+        transactionHash: log.transaction_hash,
+        index: log.index,
+        topics: log.topics || [],
+        data: log.data
+      })),
+      next: (data.links && data.links.next) || null
+    };
+  };
 
-        return {
-          id: tx.transaction_id,
-          hash: hexHash, // Add transaction hash in hex format
-          consensusTimestamp: tx.consensus_timestamp,
-          type: type,
-          amount: amount,
-          counterparty: counterparty,
-          result: tx.result,
-          name: tx.name,
-          memo: tx.memo_base64 ? atob(tx.memo_base64) : '',
-          charged_tx_fee: tx.charged_tx_fee / 100000000, // Convert to HBAR
-          max_fee: tx.max_fee ? tx.max_fee / 100000000 : 0,
-          valid_start_timestamp: tx.valid_start_timestamp,
-          node: tx.node,
-          scheduled: tx.scheduled,
-          nonce: tx.nonce,
-          transfers: tx.transfers
-        };
-      });
+  /**
+   * Decode an event log with the matching ABI event
+   * @param {Object} log - Log with topics and data
+   * @param {Array} abi - Contract ABI
+   * @returns {Object|null} - { name, signature, args: [{ name, type, indexed, value }] }, or null when no event matches
+   */
+  hederaAPI.decodeLog = function(log, abi = []) {
+    const topic0 = (log.topics[0] || '').toLowerCase();
+    if (!topic0) {
+      return null;
+    }
+    const coder = new Web3().eth.abi;
+    const event = abi.find(fragment =>
+      fragment.type === 'event' && !fragment.anonymous && coder.encodeEventSignature(fragment) === topic0
+    );
+    if (!event) {
+      return null;
+    }
 
+    const inputs = event.inputs || [];
+    try {
+      const decoded = coder.decodeLog(inputs, log.data || '0x', log.topics.slice(1));
       return {
-        transactions: transactions,
-        links: data.links || {}
+        name: event.name,
+        signature: hederaAPI.getEventSignature(event),
+        // Indexed strings, bytes and arrays are only stored as their keccak256 hash
+        args: inputs.map((input, i) => ({
+          name: input.name || '',
+          type: input.type,
+          indexed: !!input.indexed,
+          value: input.indexed && (input.type === 'string' || input.type === 'bytes' || input.type.endsWith(']') || input.type === 'tuple')
+            ? decoded[i]
+            : normalizeDecodedValue(input, decoded[i])
+        }))
       };
     } catch (error) {
-      console.error('Error fetching transaction history:', error);
-      throw error;
+      console.warn(`Could not decode ${event.name} log:`, error);
+      return null;
     }
   };
 
+  // Canonical ABI type of a parameter; tuples are spelled out from their components
+  function canonicalType(param) {
+    if (param.type.startsWith('tuple')) {
+      return `(${(param.components || []).map(canonicalType).join(',')})${param.type.slice('tuple'.length)}`;
+    }
+    return param.type;
+  }
+
   /**
-   * Get transaction details by transaction ID
-   * @param {string} transactionId - Transaction ID
-   * @returns {Promise<Object>} - Transaction details
+   * Canonical signature of an ABI event, the text hashed into its topic0
+   * @param {Object} fragment - ABI event fragment
+   * @returns {string} - e.g. Transfer(address,address,uint256)
    */
-  hederaAPI.getTransactionById = async function(transactionId) {
-    try {
-      const config = getNetworkConfig();
-      const endpoint = `${config.mirrorNode}/api/v1/transactions/${transactionId}`;
-
-      const response = await fetch(endpoint);
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Transaction not found');
-        }
-        throw new Error(`API Error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (data.transactions && data.transactions.length > 0) {
-        const tx = data.transactions[0];
-        
-        // Convert Base64 transaction hash to hex format 
-        let hexHash = tx.transaction_hash;
-        if (hexHash && !hexHash.startsWith('0x')) {
-          try {
-            // Decode Base64 to binary, then convert to hex
-            const binaryString = atob(hexHash);
-            hexHash = '0x' + Array.from(binaryString)
-              .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
-              .join('');
-          } catch (e) {
-            console.warn('Could not convert hash to hex:', e);
-          }
-        }
-        
-        
-        // Fetch block number based on consensus timestamp
-        let blockNumber = null;
-        try {
-          const blockEndpoint = `${config.mirrorNode}/api/v1/blocks?timestamp=gte:${tx.consensus_timestamp}&limit=1&order=asc`;
-          console.log('Fetching block from:', blockEndpoint);
-          const blockResponse = await fetch(blockEndpoint);
-          console.log('Block response status:', blockResponse.status);
-          if (blockResponse.ok) {
-            const blockData = await blockResponse.json();
-            console.log('Block data:', blockData);
-            if (blockData.blocks && blockData.blocks.length > 0) {
-              blockNumber = blockData.blocks[0].number;
-              console.log('Block number found:', blockNumber);
-            } else {
-              console.warn('No blocks found in response');
-            }
-          } else {
-            console.warn('Block fetch failed with status:', blockResponse.status);
-          }
-        } catch (e) {
-          console.warn('Could not fetch block number:', e);
-        }
+  hederaAPI.getEventSignature = function(fragment) {
+    return `${fragment.name}(${(fragment.inputs || []).map(canonicalType).join(',')})`;
+  };
 
-        let memo='';
-        
-        return {
-          id: tx.transaction_id,
-          hash: hexHash, // Transaction hash in hex format
-          consensusTimestamp: tx.consensus_timestamp,
-          result: tx.result,
-          name: tx.name,
-          memo: memo,
-          charged_tx_fee: tx.charged_tx_fee / 100000000,
-          max_fee: tx.max_fee ? tx.max_fee / 100000000 : 0,
-          valid_start_timestamp: tx.valid_start_timestamp,
-          node: tx.node,
-          transfers: tx.transfers,
-          block_number: blockNumber,
-          raw: tx
-        };
-      }
+  /**
+   * topic0 of an ABI event
+   * @param {Object} fragment - ABI event fragment
+   * @returns {string} - keccak256 of the event signature (0x...)
+   */
+  hederaAPI.getEventTopic = function(fragment) {
+    return new Web3().eth.abi.encodeEventSignature(fragment);
+  };
 
-      throw new Error('Transaction not found');
-    } catch (error) {
-      console.error('Error fetching transaction:', error);
-      throw error;
-    }
+  // Solidity Panic(uint256) codes
+  const PANIC_REASONS = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on an empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to an uninitialized function'
   };
 
   /**
-   * Send HBAR using JSON-RPC Relay (EVM-compatible)
-   * @param {string} fromPrivateKey - Sender's private key (hex format)
-   * @param {string} toAddress - Recipient's EVM address (0x...) - Account IDs should be converted to EVM addresses before calling
-   * @param {number} amount - Amount in HBAR
-   * @param {string} memo - Optional memo
-   * @returns {Promise<Object>} - Transaction result
+   * Decode revert data into a readable reason
+   * @param {string} data - Revert data (0x...)
+   * @param {Array} abi - Optional ABI whose custom errors are matched by selector
+   * @returns {string|null} - Error(string) message, Panic description, custom error with arguments,
+   *   or null without revert data or when the data does not decode
    */
-  hederaAPI.sendHBAR = async function(fromPrivateKey, toAddress, amount, memo = '') {
-    try {
-      const config = getNetworkConfig();
+  hederaAPI.decodeRevertReason = function(data, abi = []) {
+    if (typeof data !== 'string' || !/^0x[0-9a-fA-F]{8}/.test(data)) {
+      return null;
+    }
+    const coder = new Web3().eth.abi;
+    const selector = data.substring(0, 10).toLowerCase();
+    const params = '0x' + data.substring(10);
 
-      // Validate inputs
-      if (!fromPrivateKey || fromPrivateKey.length !== 64) {
-        throw new Error('Invalid private key format. Expected 64-character hex string.');
+    try {
+      if (selector === '0x08c379a0') { // Error(string)
+        return coder.decodeParameter('string', params);
       }
-
-      if (!toAddress || !toAddress.startsWith('0x')) {
-        throw new Error('Invalid recipient address. Expected EVM address (0x...)');
+      if (selector === '0x4e487b71') { // Panic(uint256)
+        const code = parseInt(coder.decodeParameter('uint256', params), 10);
+        return `Panic: ${PANIC_REASONS[code] || 'code 0x' + code.toString(16)}`;
       }
-
-      if (amount <= 0) {
-        throw new Error('Amount must be greater than 0');
+      const error = (abi || []).find(fragment =>
+        fragment.type === 'error' && coder.encodeFunctionSignature(fragment) === selector
+      );
+      if (error) {
+        const inputs = error.inputs || [];
+        const decoded = coder.decodeParameters(inputs, params);
+        const args = inputs.map((input, i) => JSON.stringify(normalizeDecodedValue(input, decoded[i])));
+        return `${error.name}(${args.join(', ')})`;
       }
+    } catch (e) {
+      // Malformed (e.g. truncated) data; callers fall back to the relay or mirror node message
+      console.warn('Could not decode revert data:', e);
+      return null;
+    }
+    return `custom error ${selector}`;
+  };
 
-      // Use Web3.js to create and sign the transaction
-      if (typeof Web3 === 'undefined') {
-        throw new Error('Web3.js is required for sending transactions');
-      }
+  function createRevertError(reason, data) {
+    const error = new Error(reason ? `Execution reverted: ${reason}` : 'Execution reverted');
+    error.revertReason = reason || null;
+    error.revertData = data || null;
+    return error;
+  }
 
-      const web3 = new Web3(config.jsonRpcRelay);
+  // Turn a relay revert (from eth_call or eth_estimateGas) into an error with the decoded reason;
+  // returns null for errors that are not reverts
+  function toRevertError(error, abi) {
+    let data = error && error.data;
+    if (data && typeof data === 'object') {
+      data = data.data || data.result;
+    }
+    if (typeof data !== 'string' || !/^0x[0-9a-fA-F]{8}/.test(data)) {
+      const match = /0x(08c379a0|4e487b71)[0-9a-fA-F]*/.exec((error && error.message) || '');
+      data = match ? match[0] : null;
+    }
+    if (!data && !/revert/i.test((error && error.message) || '')) {
+      return null;
+    }
+    const message = /execution reverted:?\s*([^"\n]*)/i.exec(error.message || '');
+    return createRevertError(hederaAPI.decodeRevertReason(data, abi) || (message && message[1].trim()), data);
+  }
 
-      // Add 0x prefix to private key if not present
-      const privateKey = fromPrivateKey.startsWith('0x') ? fromPrivateKey : '0x' + fromPrivateKey;
+  // Maximum gas per transaction on Hedera
+  const MAX_GAS_LIMIT = 15000000;
 
-      // Create account from private key
-      const account = web3.eth.accounts.privateKeyToAccount(privateKey);
-      const fromAddress = account.address;
+  // The relay takes values in 18-decimal weibars but only accepts whole tinybars
+  function hbarToWeibars(amount) {
+    return (parseUnits(String(amount || '0'), 8) * 10000000000n).toString();
+  }
 
-      // Get current gas price
-      const gasPrice = await web3.eth.getGasPrice();
+  /**
+   * Build deployment data: bytecode followed by the ABI-encoded constructor arguments
+   * @param {string} bytecode - Contract creation bytecode (hex)
+   * @param {Array} abi - Contract ABI; its constructor defines the arguments
+   * @param {Array} values - Constructor argument values, see encodeFunctionCall
+   * @returns {string} - Deployment data (0x...)
+   */
+  hederaAPI.encodeContractDeployment = function(bytecode, abi = [], values = []) {
+    let code = (typeof bytecode === 'object' && bytecode ? bytecode.object : bytecode) || '';
+    code = code.trim().replace(/^0x/, '');
+    if (!code || !/^([0-9a-fA-F]{2})+$/.test(code)) {
+      throw new Error('Invalid bytecode. Expected hex creation bytecode.');
+    }
 
-      // Get nonce
-      const nonce = await web3.eth.getTransactionCount(fromAddress, 'pending');
+    const constructor = abi.find(fragment => fragment.type === 'constructor') || { inputs: [] };
+    const inputs = constructor.inputs || [];
+    if (values.length !== inputs.length) {
+      throw new Error(`The constructor expects ${inputs.length} argument${inputs.length === 1 ? '' : 's'}`);
+    }
+    if (inputs.length === 0) {
+      return '0x' + code;
+    }
+    const args = inputs.map((input, i) => coerceAbiValue(input, values[i]));
+    return '0x' + code + new Web3().eth.abi.encodeParameters(inputs, args).substring(2);
+  };
 
-      // Convert HBAR to Wei (1 HBAR = 10^18 Wei in EVM context)
-      
-      const amountString = typeof amount === 'number' ? amount.toFixed(18) : amount.toString();
-      const amountInWei = web3.utils.toWei(amountString, 'ether');
+  /**
+   * Estimate gas and fee of a contract call or deployment, surfacing reverts with their reason
+   * @param {string} fromAddress - Sender's EVM address
+   * @param {Object} txFields - { to (omitted for deployments), data, value (HBAR) }
+   * @param {Array} abi - Optional ABI for decoding custom errors
+   * @returns {Promise<Object>} - { gasLimit, gasPrice, feeHbar }
+   */
+  hederaAPI.estimateContractTransaction = async function(fromAddress, txFields, abi = []) {
+    const web3 = new Web3(getNetworkConfig().jsonRpcRelay);
+    const gasPrice = await web3.eth.getGasPrice();
 
-      // Prepare transaction object for gas estimation
-      let gasLimit = 21000; // Default for existing accounts
-      
-      // Try to estimate gas (will be higher for new accounts)
+    let estimatedGas;
+    try {
+      estimatedGas = await web3.eth.estimateGas({
+        from: fromAddress,
+        to: txFields.to || undefined,
+        data: txFields.data,
+        value: hbarToWeibars(txFields.value)
+      });
+    } catch (error) {
+      throw toRevertError(error, abi) || toSendError(error);
+    }
+
+    // Hedera charges at least 80% of the gas limit, so keep the buffer modest
+    const gasLimit = Math.min(Math.floor(Number(estimatedGas) * 1.2), MAX_GAS_LIMIT);
+    const feeWei = BigInt(gasLimit) * BigInt(gasPrice);
+    return {
+      gasLimit: gasLimit,
+      gasPrice: gasPrice.toString(),
+      feeHbar: parseFloat(web3.utils.fromWei(feeWei.toString(), 'ether'))
+    };
+  };
+
+  // Revert reason of a mined transaction, read from its mirror node contract result
+  async function getMinedRevertReason(transactionHash, abi) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await sleep(2000);
       try {
-        const estimatedGas = await web3.eth.estimateGas({
-          from: fromAddress,
-          to: toAddress,
-          value: amountInWei
-        });
-        gasLimit = Math.floor(estimatedGas * 1.2); // Add 20% buffer
-        console.log('Estimated gas:', estimatedGas, 'Using:', gasLimit);
+        const result = await hederaAPI.getContractResult(transactionHash);
+        return hederaAPI.decodeRevertReason(result.errorMessage, abi) || result.errorMessage;
       } catch (error) {
-        // If estimation fails, use high limit for new account creation
-        console.warn('Gas estimation failed, using high limit for potential new account:', error.message);
-        gasLimit = 800000; // High limit for new account auto-creation
+        if (error.message !== 'Transaction not found') break;
       }
+    }
+    return null;
+  }
 
-      // Prepare transaction
-      const tx = {
-        from: fromAddress,
-        to: toAddress,
-        value: amountInWei,
-        gas: gasLimit,
-        gasPrice: gasPrice,
-        nonce: nonce,
-        chainId: config.chainId
-      };
-
-
-      // Sign transaction
-      const signedTx = await account.signTransaction(tx);
+  /**
+   * Sign and send a contract call or deployment through the JSON-RPC relay
+   * @param {string} fromPrivateKey - Sender's private key (hex format)
+   * @param {Object} txFields - { to (omit to deploy), data, value (HBAR), gasLimit (from estimateContractTransaction), abi }
+   * @returns {Promise<Object>} - Transaction result, with contractAddress and contractId for deployments
+   */
+  hederaAPI.sendContractTransaction = async function(fromPrivateKey, txFields) {
+    const abi = txFields.abi || [];
+    try {
+      const result = await sendEvmTransaction(fromPrivateKey, {
+        to: txFields.to || undefined,
+        value: hbarToWeibars(txFields.value),
+        data: txFields.data,
+        gas: txFields.gasLimit
+      }, txFields.to ? 1000000 : 3000000);
 
-      // Send transaction
-      const receipt = await web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+      let contractId = null;
+      if (result.contractAddress) {
+        try {
+          const data = await mirrorGetJson(`/api/v1/contracts/${result.contractAddress}`, { ttl: CACHE_TTL.contracts });
+          contractId = data.contract_id;
+        } catch (error) {
+          // The mirror node may not have imported the new contract yet
+          console.warn('Could not resolve the new contract ID:', error.message);
+        }
+      }
 
-      return {
-        success: true,
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        from: receipt.from,
-        to: receipt.to,
-        gasUsed: receipt.gasUsed,
-        status: receipt.status,
-        explorerUrl: `${config.explorer}/transaction/${receipt.transactionHash}`
-      };
+      return { ...result, contractId: contractId };
     } catch (error) {
-      console.error('Error sending HBAR:', error);
-      
-      // Parse error message
-      let errorMessage = error.message;
-      if (error.message.includes('insufficient funds')) {
-        errorMessage = 'Insufficient balance to complete this transaction';
-      } else if (error.message.includes('nonce')) {
-        errorMessage = 'Transaction nonce error. Please try again.';
-      } else if (error.message.includes('gas')) {
-        errorMessage = 'Gas estimation failed. Please check the transaction details.';
+      console.error('Error sending contract transaction:', error);
+      if (error.receipt) {
+        // Mined but reverted: the relay receipt carries no reason, the mirror node record does
+        const reason = await getMinedRevertReason(error.receipt.transactionHash, abi);
+        const revertError = createRevertError(reason);
+        revertError.transactionHash = error.receipt.transactionHash;
+        throw revertError;
       }
-
-      throw new Error(errorMessage);
+      throw toRevertError(error, abi) || toSendError(error);
     }
   };
 
-
   /**
    * Validate address format
    * @param {string} address - Address to validate
@@ -1,8 +1,9 @@
 class SearchedAddressDB {
   constructor() {
     this.dbName = "HederaWalletDB";
-    this.version = 1;
+    this.version = 2;
     this.storeName = "searchedAddresses";
+    this.cacheStoreName = "responseCache";
     this.db = null;
   }
 
@@ -24,6 +25,9 @@ class SearchedAddressDB {
           store.createIndex("timestamp", "timestamp", { unique: false });
           store.createIndex("hbarAddress", "hbarAddress", { unique: false });
         }
+        if (!db.objectStoreNames.contains(this.cacheStoreName)) {
+          db.createObjectStore(this.cacheStoreName, { keyPath: "key" });
+        }
       };
     });
   }
@@ -117,4 +121,27 @@ class SearchedAddressDB {
       request.onerror = () => reject(request.error);
     });
   }
+
+  // Mirror node responses persisted by hederaAPI's response cache
+  async getCachedResponse(key) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.cacheStoreName], "readonly");
+      const store = transaction.objectStore(this.cacheStoreName);
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result ? request.result.data : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveCachedResponse(key, data, timestamp = Date.now()) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.cacheStoreName], "readwrite");
+      const store = transaction.objectStore(this.cacheStoreName);
+      const request = store.put({ key, data, timestamp });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
 }
@@ -0,0 +1,879 @@
+(function (EXPORTS) {
+  "use strict";
+  const hederaTransaction = EXPORTS;
+
+  // Defaults used by the Hedera SDKs
+  const DEFAULT_NODE_ACCOUNT_ID = '0.0.3';
+  const DEFAULT_TRANSACTION_FEE = 200000000; // 2 HBAR in tinybars
+  const DEFAULT_VALID_DURATION = 120; // seconds
+  const MAX_MEMO_BYTES = 100;
+
+  // TransactionBody fields
+  const BODY_FIELDS = {
+    transactionID: 1,
+    nodeAccountID: 2,
+    transactionFee: 3,
+    transactionValidDuration: 4,
+    memo: 6
+  };
+
+  function hexToBytes(hex) {
+    hex = hex.startsWith('0x') ? hex.substring(2) : hex;
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new Error('Invalid hex string');
+    }
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes;
+  }
+
+  function bytesToHex(bytes) {
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  function utf8ToBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+  }
+
+  // --- Protobuf wire format ---
+  // Messages are built as plain byte arrays. Like the SDKs' proto3 serializer,
+  // scalar fields holding their default value are left out.
+
+  const WIRE_VARINT = 0;
+  const WIRE_LENGTH_DELIMITED = 2;
+
+  // Unsigned varint; negative int64 values are written as 64-bit two's complement
+  function encodeVarint(value) {
+    let v = BigInt(value);
+    if (v < 0n) {
+      v += 1n << 64n;
+    }
+    const out = [];
+    while (v > 0x7fn) {
+      out.push(Number(v & 0x7fn) | 0x80);
+      v >>= 7n;
+    }
+    out.push(Number(v));
+    return out;
+  }
+
+  // ZigZag encoding for sint64 fields
+  function zigzag(value) {
+    const v = BigInt(value);
+    return v >= 0n ? v << 1n : (-v << 1n) - 1n;
+  }
+
+  function tag(field, wireType) {
+    return encodeVarint((field << 3) | wireType);
+  }
+
+  function varintField(field, value) {
+    if (value === undefined || value === null || BigInt(value) === 0n) return [];
+    return tag(field, WIRE_VARINT).concat(encodeVarint(value));
+  }
+
+  function sint64Field(field, value) {
+    if (value === undefined || value === null || BigInt(value) === 0n) return [];
+    return tag(field, WIRE_VARINT).concat(encodeVarint(zigzag(value)));
+  }
+
+  function boolField(field, value) {
+    return value ? tag(field, WIRE_VARINT).concat([1]) : [];
+  }
+
+  function bytesField(field, bytes) {
+    if (!bytes || bytes.length === 0) return [];
+    return tag(field, WIRE_LENGTH_DELIMITED).concat(encodeVarint(bytes.length), Array.from(bytes));
+  }
+
+  function stringField(field, text) {
+    return text ? bytesField(field, utf8ToBytes(text)) : [];
+  }
+
+  // Embedded messages are written whenever set, even when empty
+  function messageField(field, messageBytes) {
+    if (!messageBytes) return [];
+    return tag(field, WIRE_LENGTH_DELIMITED).concat(encodeVarint(messageBytes.length), messageBytes);
+  }
+
+  // --- Basic types ---
+
+  /**
+   * Parse an entity ID (shard.realm.num)
+   * @param {string} id - Entity ID, e.g. 0.0.1234
+   * @returns {Object} - { shard, realm, num } as BigInt
+   */
+  function parseEntityId(id) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(id).trim());
+    if (!match) {
+      throw new Error(`Invalid entity ID: ${id}`);
+    }
+    return { shard: BigInt(match[1]), realm: BigInt(match[2]), num: BigInt(match[3]) };
+  }
+
+  // AccountID; a 0x EVM address is sent as a 20-byte alias (HIP-583)
+  function encodeAccountId(accountId) {
+    const value = String(accountId).trim();
+    if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      return bytesField(4, hexToBytes(value));
+    }
+    const id = parseEntityId(value);
+    return [].concat(
+      varintField(1, id.shard),
+      varintField(2, id.realm),
+      varintField(3, id.num)
+    );
+  }
+
+  // TokenID, TopicID, ScheduleID, ... share the shard/realm/num layout
+  function encodeEntityId(entityId) {
+    const id = parseEntityId(entityId);
+    return [].concat(
+      varintField(1, id.shard),
+      varintField(2, id.realm),
+      varintField(3, id.num)
+    );
+  }
+
+  function encodeTimestamp(timestamp) {
+    return [].concat(
+      varintField(1, timestamp.seconds),
+      varintField(2, timestamp.nanos)
+    );
+  }
+
+  function encodeDuration(seconds) {
+    return varintField(1, seconds);
+  }
+
+  function encodeTransactionId(transactionId) {
+    return [].concat(
+      messageField(1, encodeTimestamp(transactionId.validStart)),
+      messageField(2, encodeAccountId(transactionId.accountId))
+    );
+  }
+
+  // --- Transaction ID ---
+
+  // Normalize a Date, a "seconds.nanos" string or { seconds, nanos } into { seconds, nanos }
+  function toTimestamp(value) {
+    if (value instanceof Date) {
+      const ms = value.getTime();
+      return { seconds: Math.floor(ms / 1000), nanos: (ms % 1000) * 1000000 };
+    }
+    if (typeof value === 'string') {
+      const [seconds, nanos = '0'] = value.split('.');
+      return { seconds: parseInt(seconds, 10), nanos: parseInt(nanos.padEnd(9, '0'), 10) };
+    }
+    return { seconds: value.seconds, nanos: value.nanos || 0 };
+  }
+
+  /**
+   * Create a transaction ID for a payer account
+   * @param {string} payerAccountId - Payer account ID (0.0.xxxx)
+   * @param {Date|string|Object} validStart - Valid start; defaults to ten seconds ago to absorb clock skew
+   * @returns {Object} - { accountId, validStart: { seconds, nanos }, toString(), toMirrorId() }
+   */
+  hederaTransaction.createTransactionId = function(payerAccountId, validStart) {
+    parseEntityId(payerAccountId);
+    const start = toTimestamp(validStart || new Date(Date.now() - 10000));
+    const nanos = String(start.nanos).padStart(9, '0');
+
+    return {
+      accountId: payerAccountId,
+      validStart: start,
+      // 0.0.x@seconds.nanos, as shown by wallets and HashScan
+      toString: () => `${payerAccountId}@${start.seconds}.${nanos}`,
+      // 0.0.x-seconds-nanos, as accepted by the mirror node
+      toMirrorId: () => `${payerAccountId}-${start.seconds}-${nanos}`
+    };
+  };
+
+  // --- Transaction body types ---
+
+  function sumAmounts(amounts) {
+    return amounts.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+  }
+
+  function encodeAccountAmount(entry) {
+    return [].concat(
+      messageField(1, encodeAccountId(entry.accountId)),
+      sint64Field(2, entry.amount),
+      boolField(3, entry.isApproval)
+    );
+  }
+
+  function encodeNftTransfer(entry) {
+    return [].concat(
+      messageField(1, encodeAccountId(entry.senderAccountId)),
+      messageField(2, encodeAccountId(entry.receiverAccountId)),
+      varintField(3, entry.serialNumber),
+      boolField(4, entry.isApproval)
+    );
+  }
+
+  /**
+   * CryptoTransferTransactionBody
+   * @param {Object} data - {
+   *   transfers: [{ accountId, amount (tinybars), isApproval }],
+   *   tokenTransfers: [{ tokenId, transfers: [{ accountId, amount, isApproval }],
+   *                      nftTransfers: [{ senderAccountId, receiverAccountId, serialNumber }],
+   *                      expectedDecimals }]
+   * }
+   */
+  function encodeCryptoTransfer(data) {
+    const transfers = data.transfers || [];
+    const tokenTransfers = data.tokenTransfers || [];
+
+    if (transfers.length === 0 && tokenTransfers.length === 0) {
+      throw new Error('A transfer needs at least one HBAR or token transfer');
+    }
+    if (sumAmounts(transfers) !== 0n) {
+      throw new Error('HBAR transfers must sum to zero');
+    }
+
+    let bytes = [];
+    if (transfers.length > 0) {
+      const transferList = [].concat(...transfers.map(entry => messageField(1, encodeAccountAmount(entry))));
+      bytes = bytes.concat(messageField(1, transferList));
+    }
+
+    tokenTransfers.forEach(list => {
+      const amounts = list.transfers || [];
+      if (sumAmounts(amounts) !== 0n) {
+        throw new Error(`Transfers of token ${list.tokenId} must sum to zero`);
+      }
+      let listBytes = messageField(1, encodeEntityId(list.tokenId));
+      amounts.forEach(entry => {
+        listBytes = listBytes.concat(messageField(2, encodeAccountAmount(entry)));
+      });
+      (list.nftTransfers || []).forEach(entry => {
+        listBytes = listBytes.concat(messageField(3, encodeNftTransfer(entry)));
+      });
+      if (list.expectedDecimals !== undefined && list.expectedDecimals !== null) {
+        // google.protobuf.UInt32Value
+        listBytes = listBytes.concat(messageField(4, varintField(1, list.expectedDecimals)));
+      }
+      bytes = bytes.concat(messageField(2, listBytes));
+    });
+
+    return bytes;
+  }
+
+  /**
+   * CryptoUpdateTransactionBody, limited to the key and staking fields
+   * @param {Object} data - {
+   *   accountId, key (compressed secp256k1 public key, bytes or hex),
+   *   stakedNodeId (-1 stops staking), stakedAccountId ('0.0.0' stops staking), declineReward
+   * }
+   */
+  function encodeCryptoUpdate(data) {
+    if (!data.accountId) {
+      throw new Error('Account ID to update is required');
+    }
+    if (data.stakedNodeId !== undefined && data.stakedNodeId !== null &&
+        data.stakedAccountId !== undefined && data.stakedAccountId !== null) {
+      throw new Error('Stake to either a node or an account, not both');
+    }
+
+    let bytes = messageField(2, encodeAccountId(data.accountId));
+    if (data.key) {
+      const key = typeof data.key === 'string' ? hexToBytes(data.key) : Array.from(data.key);
+      if (key.length !== 33) {
+        throw new Error('Key must be a 33-byte compressed secp256k1 public key');
+      }
+      // Key { ECDSA_secp256k1 = 7 }
+      bytes = bytes.concat(messageField(3, bytesField(7, key)));
+    }
+    if (data.stakedAccountId !== undefined && data.stakedAccountId !== null) {
+      bytes = bytes.concat(messageField(16, encodeAccountId(data.stakedAccountId)));
+    } else if (data.stakedNodeId !== undefined && data.stakedNodeId !== null) {
+      // Part of the staked_id oneof, so node 0 has to be written as well
+      bytes = bytes.concat(tag(17, WIRE_VARINT), encodeVarint(data.stakedNodeId));
+    }
+    if (data.declineReward !== undefined && data.declineReward !== null) {
+      // google.protobuf.BoolValue
+      bytes = bytes.concat(messageField(18, boolField(1, data.declineReward)));
+    }
+    return bytes;
+  }
+
+  // Largest message a single ConsensusSubmitMessage may carry
+  const MAX_TOPIC_MESSAGE_BYTES = 1024;
+
+  /**
+   * ConsensusSubmitMessageTransactionBody (single chunk)
+   * @param {Object} data - { topicId, message (string or bytes) }
+   */
+  function encodeConsensusSubmitMessage(data) {
+    if (!data.topicId) {
+      throw new Error('Topic ID is required');
+    }
+    const message = typeof data.message === 'string' ? utf8ToBytes(data.message) : Array.from(data.message || []);
+    if (message.length === 0) {
+      throw new Error('Message must not be empty');
+    }
+    if (message.length > MAX_TOPIC_MESSAGE_BYTES) {
+      throw new Error(`Message must be at most ${MAX_TOPIC_MESSAGE_BYTES} bytes`);
+    }
+    return [].concat(
+      messageField(1, encodeEntityId(data.topicId)),
+      bytesField(2, message)
+    );
+  }
+
+  /**
+   * ScheduleSignTransactionBody
+   * @param {Object} data - { scheduleId }
+   */
+  function encodeScheduleSign(data) {
+    if (!data.scheduleId) {
+      throw new Error('Schedule ID is required');
+    }
+    return messageField(1, encodeEntityId(data.scheduleId));
+  }
+
+  // TransactionBody "data" oneof: type name -> field number, encoder and gRPC method that accepts it
+  const BODY_TYPES = {
+    cryptoTransfer: { field: 14, encode: encodeCryptoTransfer, method: 'proto.CryptoService/cryptoTransfer' },
+    cryptoUpdateAccount: { field: 15, encode: encodeCryptoUpdate, method: 'proto.CryptoService/updateAccount' },
+    consensusSubmitMessage: { field: 27, encode: encodeConsensusSubmitMessage, method: 'proto.ConsensusService/submitMessage' },
+    scheduleSign: { field: 44, encode: encodeScheduleSign, method: 'proto.ScheduleService/signSchedule' }
+  };
+
+  /**
+   * Register an additional TransactionBody type
+   * @param {string} name - Type name used in buildTransactionBody
+   * @param {number} field - Field number of the type in the TransactionBody "data" oneof
+   * @param {Function} encode - Turns the type's data object into message bytes
+   * @param {string} method - gRPC method the transaction is submitted to, e.g. proto.CryptoService/updateAccount
+   */
+  hederaTransaction.registerBodyType = function(name, field, encode, method) {
+    BODY_TYPES[name] = { field, encode, method };
+  };
+
+  hederaTransaction.getBodyTypes = function() {
+    return Object.keys(BODY_TYPES);
+  };
+
+  /**
+   * Build serialized TransactionBody bytes
+   * @param {Object} options - {
+   *   transactionId (from createTransactionId), nodeAccountId, transactionFee (tinybars),
+   *   validDuration (seconds), memo, type (e.g. 'cryptoTransfer'), data (type specific)
+   * }
+   * @returns {Uint8Array} - TransactionBody bytes
+   */
+  hederaTransaction.buildTransactionBody = function(options) {
+    const type = BODY_TYPES[options.type];
+    if (!type) {
+      throw new Error(`Unsupported transaction type: ${options.type}`);
+    }
+    if (!options.transactionId) {
+      throw new Error('Transaction ID is required');
+    }
+
+    const memo = options.memo || '';
+    if (utf8ToBytes(memo).length > MAX_MEMO_BYTES) {
+      throw new Error(`Memo must be at most ${MAX_MEMO_BYTES} bytes`);
+    }
+
+    const body = [].concat(
+      messageField(BODY_FIELDS.transactionID, encodeTransactionId(options.transactionId)),
+      messageField(BODY_FIELDS.nodeAccountID, encodeAccountId(options.nodeAccountId || DEFAULT_NODE_ACCOUNT_ID)),
+      varintField(BODY_FIELDS.transactionFee, options.transactionFee || DEFAULT_TRANSACTION_FEE),
+      messageField(BODY_FIELDS.transactionValidDuration, encodeDuration(options.validDuration || DEFAULT_VALID_DURATION)),
+      stringField(BODY_FIELDS.memo, memo),
+      messageField(type.field, type.encode(options.data || {}))
+    );
+
+    return Uint8Array.from(body);
+  };
+
+  // --- Signing ---
+
+  // RFC 6979 deterministic nonce (HMAC-SHA256), as in bitjs' transaction signer
+  function deterministicK(privBytes, hash, badrs) {
+    const curve = EllipticCurve.getSECCurveByName("secp256k1");
+    const N = curve.getN();
+    const hmac = (data, key) => Crypto.HMAC(Crypto.SHA256, data, key, { asBytes: true });
+
+    let v = new Array(32).fill(1);
+    let k = new Array(32).fill(0);
+    k = hmac(v.concat([0]).concat(privBytes).concat(hash), k);
+    v = hmac(v, k);
+    k = hmac(v.concat([1]).concat(privBytes).concat(hash), k);
+    v = hmac(v, k);
+    v = hmac(v, k);
+
+    let K = BigInteger.fromByteArrayUnsigned(v);
+    let i = 0;
+    while (K.compareTo(N) >= 0 || K.compareTo(BigInteger.ZERO) <= 0 || i < badrs) {
+      k = hmac(v.concat([0]), k);
+      v = hmac(v, k);
+      v = hmac(v, k);
+      K = BigInteger.fromByteArrayUnsigned(v);
+      i++;
+    }
+    return K;
+  }
+
+  function toBytes32(bigInteger) {
+    const bytes = bigInteger.toByteArrayUnsigned();
+    return new Array(32 - bytes.length).fill(0).concat(bytes);
+  }
+
+  /**
+   * Sign a 32-byte digest with secp256k1 (deterministic k, low-S)
+   * @param {Array|Uint8Array} digest - Message digest
+   * @param {string} privateKeyHex - 64-character hex private key
+   * @returns {Uint8Array} - 64-byte r || s signature
+   */
+  hederaTransaction.signDigest = function(digest, privateKeyHex) {
+    const privBytes = hexToBytes(privateKeyHex);
+    if (privBytes.length !== 32) {
+      throw new Error('Invalid private key format. Expected 64-character hex string.');
+    }
+    const hash = Array.from(digest);
+
+    const curve = EllipticCurve.getSECCurveByName("secp256k1");
+    const n = curve.getN();
+    const G = curve.getG();
+    const priv = BigInteger.fromByteArrayUnsigned(privBytes);
+    const e = BigInteger.fromByteArrayUnsigned(hash);
+
+    let r, s;
+    let badrs = 0;
+    do {
+      const k = deterministicK(privBytes, hash, badrs);
+      r = G.multiply(k).getX().toBigInteger().mod(n);
+      s = k.modInverse(n).multiply(e.add(priv.multiply(r))).mod(n);
+      badrs++;
+    } while (r.compareTo(BigInteger.ZERO) <= 0 || s.compareTo(BigInteger.ZERO) <= 0);
+
+    // Force lower s values per BIP62
+    if (s.compareTo(n.shiftRight(1)) > 0) {
+      s = n.subtract(s);
+    }
+
+    return Uint8Array.from(toBytes32(r).concat(toBytes32(s)));
+  };
+
+  /**
+   * Verify a 64-byte r || s signature over a digest
+   * @param {Array|Uint8Array} digest - Message digest
+   * @param {Array|Uint8Array} signature - 64-byte r || s signature
+   * @param {Array|Uint8Array|string} publicKey - Compressed or uncompressed public key (bytes or hex)
+   * @returns {boolean}
+   */
+  hederaTransaction.verifyDigest = function(digest, signature, publicKey) {
+    const sig = Array.from(signature);
+    const pubHex = typeof publicKey === 'string' ? publicKey.replace(/^0x/, '') : bytesToHex(publicKey);
+    const curve = EllipticCurve.getSECCurveByName("secp256k1");
+    const Q = curve.getCurve().decodePointHex(pubHex);
+    if (!Q || sig.length !== 64) return false;
+
+    return Bitcoin.ECDSA.verifyRaw(
+      BigInteger.fromByteArrayUnsigned(Array.from(digest)),
+      BigInteger.fromByteArrayUnsigned(sig.slice(0, 32)),
+      BigInteger.fromByteArrayUnsigned(sig.slice(32, 64)),
+      Q
+    );
+  };
+
+  /**
+   * Compressed secp256k1 public key of a private key
+   * @param {string} privateKeyHex - 64-character hex private key
+   * @returns {Uint8Array} - 33-byte public key
+   */
+  hederaTransaction.getPublicKey = function(privateKeyHex) {
+    const ecKey = new Bitcoin.ECKey(hexToBytes(privateKeyHex));
+    ecKey.setCompressed(true);
+    return Uint8Array.from(hexToBytes(ecKey.getPubKeyHex()));
+  };
+
+  // Hedera signs secp256k1 transactions over keccak256(bodyBytes)
+  function keccak256(bytes) {
+    return hexToBytes(Web3.utils.keccak256('0x' + bytesToHex(bytes)));
+  }
+
+  /**
+   * Sign TransactionBody bytes and wrap them for submission
+   * @param {Uint8Array} bodyBytes - TransactionBody bytes
+   * @param {string} privateKeyHex - 64-character hex private key
+   * @returns {Object} - { signedTransactionBytes, transactionBytes, signature, publicKey }
+   */
+  hederaTransaction.signTransaction = function(bodyBytes, privateKeyHex) {
+    const publicKey = hederaTransaction.getPublicKey(privateKeyHex);
+    const signature = hederaTransaction.signDigest(keccak256(bodyBytes), privateKeyHex);
+
+    // SignaturePair { pubKeyPrefix = 1, ECDSA_secp256k1 = 6 }
+    const sigPair = [].concat(bytesField(1, publicKey), bytesField(6, signature));
+    // SignatureMap { sigPair = 1 }
+    const sigMap = messageField(1, sigPair);
+    // SignedTransaction { bodyBytes = 1, sigMap = 2 }
+    const signedTransaction = [].concat(bytesField(1, bodyBytes), messageField(2, sigMap));
+    // Transaction { signedTransactionBytes = 5 }
+    const transaction = bytesField(5, signedTransaction);
+
+    return {
+      signedTransactionBytes: Uint8Array.from(signedTransaction),
+      transactionBytes: Uint8Array.from(transaction),
+      signature: signature,
+      publicKey: publicKey
+    };
+  };
+
+  /**
+   * Transaction hash as reported by the mirror node: SHA-384 of the SignedTransaction bytes
+   * @param {Uint8Array} signedTransactionBytes - SignedTransaction bytes
+   * @returns {Promise<string>} - 0x-prefixed hex hash
+   */
+  hederaTransaction.getTransactionHash = async function(signedTransactionBytes) {
+    const digest = await crypto.subtle.digest('SHA-384', Uint8Array.from(signedTransactionBytes));
+    return '0x' + bytesToHex(new Uint8Array(digest));
+  };
+
+  /**
+   * Build and sign a transaction in one step
+   * @param {Object} options - {
+   *   payerAccountId, privateKey (hex), type, data, memo, nodeAccountId,
+   *   transactionFee (tinybars), validDuration (seconds), validStart
+   * }
+   * @returns {Promise<Object>} - { transactionId, mirrorTransactionId, nodeAccountId, grpcMethod, bodyBytes, signedTransactionBytes, transactionBytes, hash }
+   */
+  hederaTransaction.createTransaction = async function(options) {
+    const transactionId = hederaTransaction.createTransactionId(options.payerAccountId, options.validStart);
+    const bodyBytes = hederaTransaction.buildTransactionBody({
+      transactionId: transactionId,
+      nodeAccountId: options.nodeAccountId,
+      transactionFee: options.transactionFee,
+      validDuration: options.validDuration,
+      memo: options.memo,
+      type: options.type,
+      data: options.data
+    });
+    const signed = hederaTransaction.signTransaction(bodyBytes, options.privateKey);
+
+    return {
+      transactionId: transactionId.toString(),
+      mirrorTransactionId: transactionId.toMirrorId(),
+      nodeAccountId: options.nodeAccountId || DEFAULT_NODE_ACCOUNT_ID,
+      grpcMethod: BODY_TYPES[options.type].method,
+      bodyBytes: bodyBytes,
+      signedTransactionBytes: signed.signedTransactionBytes,
+      transactionBytes: signed.transactionBytes,
+      hash: await hederaTransaction.getTransactionHash(signed.signedTransactionBytes)
+    };
+  };
+
+  /**
+   * Build and sign an HBAR transfer from the payer to one recipient
+   * @param {Object} options - { payerAccountId, privateKey, toAccountId, amount (tinybars), memo, ... }
+   * @returns {Promise<Object>} - As createTransaction
+   */
+  hederaTransaction.createHbarTransfer = async function(options) {
+    const amount = BigInt(options.amount);
+    if (amount <= 0n) {
+      throw new Error('Amount must be greater than 0');
+    }
+    return hederaTransaction.createTransaction({
+      ...options,
+      type: 'cryptoTransfer',
+      data: {
+        transfers: [
+          { accountId: options.payerAccountId, amount: -amount },
+          { accountId: options.toAccountId, amount: amount }
+        ]
+      }
+    });
+  };
+
+  // Read the top-level fields of a message as [{ field, wireType, value }]; varints are BigInt,
+  // length-delimited values are byte arrays and fixed-width values are skipped
+  function readFields(bytes) {
+    const fields = [];
+    let offset = 0;
+    const readVarint = () => {
+      let result = 0n;
+      let shift = 0n;
+      let byte;
+      do {
+        if (offset >= bytes.length) throw new Error('Truncated protobuf message');
+        byte = bytes[offset++];
+        result |= BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+      } while (byte & 0x80);
+      return result;
+    };
+
+    while (offset < bytes.length) {
+      const key = Number(readVarint());
+      const field = key >> 3;
+      const wireType = key & 7;
+      if (wireType === WIRE_VARINT) {
+        fields.push({ field, wireType, value: readVarint() });
+      } else if (wireType === WIRE_LENGTH_DELIMITED) {
+        const length = Number(readVarint());
+        if (offset + length > bytes.length) throw new Error('Truncated protobuf message');
+        fields.push({ field, wireType, value: bytes.slice(offset, offset + length) });
+        offset += length;
+      } else if (wireType === 1) {
+        offset += 8;
+      } else if (wireType === 5) {
+        offset += 4;
+      } else {
+        throw new Error(`Unsupported wire type ${wireType}`);
+      }
+    }
+    return fields;
+  }
+
+  // Read the top-level varint fields of a message into { fieldNumber: BigInt }
+  function readVarintFields(bytes) {
+    const fields = {};
+    readFields(bytes).forEach(entry => {
+      if (entry.wireType === WIRE_VARINT) fields[entry.field] = entry.value;
+    });
+    return fields;
+  }
+
+  // --- Decoding ---
+
+  function unzigzag(value) {
+    return (value >> 1n) ^ -(value & 1n);
+  }
+
+  function decodeUtf8(bytes) {
+    return new TextDecoder().decode(Uint8Array.from(bytes));
+  }
+
+  // AccountID as shard.realm.num, or the 0x alias when the account is addressed by alias
+  function decodeAccountId(bytes) {
+    const id = { 1: 0n, 2: 0n, 3: 0n };
+    let alias = null;
+    readFields(bytes).forEach(entry => {
+      if (entry.field === 4 && entry.wireType === WIRE_LENGTH_DELIMITED) alias = entry.value;
+      else if (entry.wireType === WIRE_VARINT) id[entry.field] = entry.value;
+    });
+    return alias ? '0x' + bytesToHex(alias) : `${id[1]}.${id[2]}.${id[3]}`;
+  }
+
+  function decodeEntityId(bytes) {
+    const id = readVarintFields(bytes);
+    return `${id[1] || 0n}.${id[2] || 0n}.${id[3] || 0n}`;
+  }
+
+  function decodeAccountAmount(bytes) {
+    const entry = { accountId: null, amount: 0n, isApproval: false };
+    readFields(bytes).forEach(item => {
+      if (item.field === 1) entry.accountId = decodeAccountId(item.value);
+      else if (item.field === 2) entry.amount = unzigzag(item.value);
+      else if (item.field === 3) entry.isApproval = item.value === 1n;
+    });
+    return entry;
+  }
+
+  function decodeNftTransfer(bytes) {
+    const entry = { senderAccountId: null, receiverAccountId: null, serialNumber: 0n, isApproval: false };
+    readFields(bytes).forEach(item => {
+      if (item.field === 1) entry.senderAccountId = decodeAccountId(item.value);
+      else if (item.field === 2) entry.receiverAccountId = decodeAccountId(item.value);
+      else if (item.field === 3) entry.serialNumber = item.value;
+      else if (item.field === 4) entry.isApproval = item.value === 1n;
+    });
+    return entry;
+  }
+
+  function decodeCryptoTransfer(bytes) {
+    const result = { transfers: [], tokenTransfers: [] };
+    readFields(bytes).forEach(item => {
+      if (item.field === 1) {
+        readFields(item.value).forEach(amount => result.transfers.push(decodeAccountAmount(amount.value)));
+      } else if (item.field === 2) {
+        const list = { tokenId: null, transfers: [], nftTransfers: [], expectedDecimals: null };
+        readFields(item.value).forEach(entry => {
+          if (entry.field === 1) list.tokenId = decodeEntityId(entry.value);
+          else if (entry.field === 2) list.transfers.push(decodeAccountAmount(entry.value));
+          else if (entry.field === 3) list.nftTransfers.push(decodeNftTransfer(entry.value));
+          else if (entry.field === 4) list.expectedDecimals = Number(readVarintFields(entry.value)[1] || 0n);
+        });
+        result.tokenTransfers.push(list);
+      }
+    });
+    return result;
+  }
+
+  function decodeConsensusSubmitMessage(bytes) {
+    const result = { topicId: null, message: [] };
+    readFields(bytes).forEach(item => {
+      if (item.field === 1) result.topicId = decodeEntityId(item.value);
+      else if (item.field === 2) result.message = item.value;
+    });
+    return result;
+  }
+
+  // Key "key" oneof field numbers of the leaf key types
+  const KEY_TYPES = {
+    1: 'contract',
+    2: 'ed25519',
+    3: 'rsa3072',
+    4: 'ecdsa384',
+    7: 'ecdsaSecp256k1',
+    8: 'delegatableContract'
+  };
+
+  function decodeKeyList(bytes) {
+    return readFields(bytes)
+      .filter(item => item.field === 1)
+      .map(item => decodeKey(item.value));
+  }
+
+  // Key as { type, key } for leaf keys, { type: 'contract', contractId } for contract keys and
+  // { type: 'keyList' | 'threshold', threshold, keys } for composite keys
+  function decodeKey(bytes) {
+    const item = readFields(bytes).find(entry => entry.wireType === WIRE_LENGTH_DELIMITED);
+    if (!item) {
+      throw new Error('Empty key');
+    }
+    if (item.field === 5) {
+      // ThresholdKey { threshold = 1, KeyList keys = 2 }
+      const fields = readFields(item.value);
+      const list = fields.find(entry => entry.field === 2);
+      const threshold = fields.find(entry => entry.field === 1);
+      return {
+        type: 'threshold',
+        threshold: threshold ? Number(threshold.value) : 0,
+        keys: list ? decodeKeyList(list.value) : []
+      };
+    }
+    if (item.field === 6) {
+      // Every key of a KeyList has to sign
+      const keys = decodeKeyList(item.value);
+      return { type: 'keyList', threshold: keys.length, keys: keys };
+    }
+    const type = KEY_TYPES[item.field];
+    if (!type) {
+      throw new Error(`Unsupported key type (field ${item.field})`);
+    }
+    if (type === 'contract' || type === 'delegatableContract') {
+      return { type: type, contractId: decodeEntityId(item.value) };
+    }
+    return { type: type, key: bytesToHex(item.value) };
+  }
+
+  /**
+   * Decode a protobuf Key, e.g. the mirror node's ProtobufEncoded account keys
+   * @param {Uint8Array|Array|string} bytes - Key bytes or hex
+   * @returns {Object} - Key tree; see decodeKey
+   */
+  hederaTransaction.decodeKey = function(bytes) {
+    return decodeKey(typeof bytes === 'string' ? hexToBytes(bytes) : Array.from(bytes));
+  };
+
+  // SchedulableTransactionBody "data" oneof field numbers; bodies with a decoder are returned in full
+  const SCHEDULABLE_TYPES = {
+    3: 'contractCall',
+    4: 'contractCreateInstance',
+    5: 'contractUpdateInstance',
+    6: 'contractDeleteInstance',
+    7: 'cryptoCreateAccount',
+    8: 'cryptoDelete',
+    9: { name: 'cryptoTransfer', decode: decodeCryptoTransfer },
+    10: 'cryptoUpdateAccount',
+    11: 'fileAppend',
+    12: 'fileCreate',
+    13: 'fileDelete',
+    14: 'fileUpdate',
+    15: 'systemDelete',
+    16: 'systemUndelete',
+    17: 'freeze',
+    18: 'consensusCreateTopic',
+    19: 'consensusUpdateTopic',
+    20: 'consensusDeleteTopic',
+    21: { name: 'consensusSubmitMessage', decode: decodeConsensusSubmitMessage },
+    22: 'tokenCreation',
+    23: 'tokenFreeze',
+    24: 'tokenUnfreeze',
+    25: 'tokenGrantKyc',
+    26: 'tokenRevokeKyc',
+    27: 'tokenDeletion',
+    28: 'tokenUpdate',
+    29: 'tokenMint',
+    30: 'tokenBurn',
+    31: 'tokenWipe',
+    32: 'tokenAssociate',
+    33: 'tokenDissociate',
+    34: 'scheduleDelete',
+    35: 'tokenPause',
+    36: 'tokenUnpause',
+    37: 'cryptoApproveAllowance',
+    38: 'cryptoDeleteAllowance',
+    39: 'tokenFeeScheduleUpdate',
+    40: 'utilPrng',
+    41: 'tokenUpdateNfts'
+  };
+
+  /**
+   * Decode the inner transaction of a schedule (SchedulableTransactionBody)
+   * @param {Uint8Array|Array} bytes - Body bytes, e.g. the mirror node's transaction_body
+   * @returns {Object} - { type, transactionFee, memo, data }; data is null for types without a decoder
+   */
+  hederaTransaction.decodeSchedulableTransactionBody = function(bytes) {
+    const result = { type: null, transactionFee: 0n, memo: '', data: null };
+    readFields(Array.from(bytes)).forEach(item => {
+      if (item.field === 1) {
+        result.transactionFee = item.value;
+      } else if (item.field === 2) {
+        result.memo = decodeUtf8(item.value);
+      } else if (item.wireType === WIRE_LENGTH_DELIMITED) {
+        const type = SCHEDULABLE_TYPES[item.field];
+        if (typeof type === 'object') {
+          result.type = type.name;
+          result.data = type.decode(item.value);
+        } else {
+          result.type = type || `unknown (field ${item.field})`;
+        }
+      }
+    });
+    return result;
+  };
+
+  /**
+   * Decode the TransactionResponse a node returns for a submitted transaction
+   * @param {Uint8Array} bytes - TransactionResponse bytes
+   * @returns {Object} - { precheckCode, cost }
+   */
+  hederaTransaction.decodeTransactionResponse = function(bytes) {
+    const fields = readVarintFields(Array.from(bytes));
+    return {
+      // nodeTransactionPrecheckCode = 1, cost = 2
+      precheckCode: Number(fields[1] || 0n),
+      cost: fields[2] || 0n
+    };
+  };
+
+  hederaTransaction.parseEntityId = parseEntityId;
+  hederaTransaction.hexToBytes = hexToBytes;
+  hederaTransaction.bytesToHex = bytesToHex;
+
+  // Low-level encoders for registerBodyType implementations
+  hederaTransaction.proto = {
+    encodeVarint,
+    varintField,
+    sint64Field,
+    boolField,
+    bytesField,
+    stringField,
+    messageField,
+    encodeAccountId,
+    encodeEntityId,
+    encodeTimestamp,
+    encodeDuration
+  };
+
+})(typeof module === "object" ? module.exports : (window.hederaTransaction = {}));
@@ -0,0 +1,240 @@
+/**
+ * Offline checks of hederaTransaction.js against fixed vectors.
+ *
+ *   node test/hederaTransaction.test.js
+ *
+ * lib.hedera.js is loaded in a browser-like context for the curve math. Web3 is not
+ * available offline, so keccak256 comes from the reference implementation below.
+ * Regenerate the transaction vectors only for intended encoding changes, and check
+ * new bytes with `protoc --decode` against the HAPI protobufs first.
+ */
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// --- Environment ---
+
+function loadHederaLib() {
+  const context = {
+    console, Date, Math, Array, Object, Uint8Array, setTimeout,
+    crypto: globalThis.crypto,
+    navigator: { userAgent: 'node', appName: 'Netscape', plugins: [], mimeTypes: [], cookieEnabled: true, language: 'en' },
+    screen: { width: 1, height: 1, colorDepth: 24, availWidth: 1, availHeight: 1 },
+    document: {},
+    location: { href: '' },
+    history: { length: 1 }
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'lib.hedera.js'), 'utf8'), context, { filename: 'lib.hedera.js' });
+  return context;
+}
+
+// Keccak-256 (the pre-standard SHA-3 padding Ethereum and Hedera ECDSA keys sign with)
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+const MASK_64 = (1n << 64n) - 1n;
+
+function rotl64(x, n) {
+  return n ? ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK_64 : x;
+}
+
+function keccakF(state) {
+  for (let round = 0; round < 24; round++) {
+    const c = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[y + x] ^= d;
+    }
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        state[x + 5 * y] = b[x + 5 * y] ^ ((~b[(x + 1) % 5 + 5 * y] & MASK_64) & b[(x + 2) % 5 + 5 * y]);
+      }
+    }
+    state[0] ^= KECCAK_ROUND_CONSTANTS[round];
+  }
+}
+
+function keccak256(bytes) {
+  const rate = 136;
+  const padded = Array.from(bytes);
+  padded.push(0x01);
+  while (padded.length % rate) padded.push(0);
+  padded[padded.length - 1] |= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + b]);
+      state[i] ^= lane;
+    }
+    keccakF(state);
+  }
+
+  const out = [];
+  for (let i = 0; i < 4; i++) {
+    for (let b = 0; b < 8; b++) out.push(Number((state[i] >> BigInt(8 * b)) & 0xffn));
+  }
+  return out;
+}
+
+const lib = loadHederaLib();
+Object.assign(global, {
+  EllipticCurve: lib.EllipticCurve,
+  BigInteger: lib.BigInteger,
+  Crypto: lib.Crypto,
+  Bitcoin: lib.Bitcoin,
+  Web3: { utils: { keccak256: hex => '0x' + Buffer.from(keccak256(Buffer.from(hex.slice(2), 'hex'))).toString('hex') } }
+});
+
+const hederaTransaction = require(path.join(ROOT, 'hederaTransaction.js'));
+const { hexToBytes, bytesToHex } = hederaTransaction;
+const proto = hederaTransaction.proto;
+
+// --- Checks ---
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check('keccak256 reference', () => {
+  assert.strictEqual(bytesToHex(keccak256([])), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+});
+
+check('RFC 6979 signature: private key 1, SHA256("Satoshi Nakamoto")', () => {
+  const digest = lib.Crypto.SHA256('Satoshi Nakamoto', { asBytes: true });
+  const signature = hederaTransaction.signDigest(digest, '0'.repeat(63) + '1');
+  assert.strictEqual(bytesToHex(signature),
+    '934b1ea10a4b3c1757e2b0c017d0b6143ce3c9a7e6a4a49860d7a6ab210ee3d8' +
+    '2442ce9d2b916064108014783e923ec36b49743e2ffa1c4496f01a512aafd9e5');
+});
+
+const TRANSFER = {
+  payerAccountId: '0.0.1234',
+  privateKey: 'a'.repeat(64),
+  toAccountId: '0.0.5678',
+  amount: 150000000,
+  memo: 'héllo',
+  validStart: '1700000000.123456789'
+};
+const TRANSFER_BODY_HEX =
+  '0a120a0b0880e2cfaa0610959aef3a120318d20912021803188084af5f220208' +
+  '78320668c3a96c6c6f721c0a1a0a0b0a0318d20910ffc5868f010a0b0a0318ae' +
+  '2c1080c6868f01';
+const TRANSFER_SIGNED_HEX =
+  '0a470a120a0b0880e2cfaa0610959aef3a120318d20912021803188084af5f22' +
+  '020878320668c3a96c6c6f721c0a1a0a0b0a0318d20910ffc5868f010a0b0a03' +
+  '18ae2c1080c6868f0112670a650a21026a04ab98d9e4774ad806e302dddeb63b' +
+  'ea16b5cb5f223ee77478e861bb583eb332409e3517c822346a69f6f19375b747' +
+  '34c172185e61dd60c6a60e9e73def6283cbd076078f7c7ba2cb2cc54ec83e41d' +
+  '49e78774b07c5460af0d4877ff6b7a38c2f9';
+const TRANSFER_HASH =
+  '0xb62b16a1c42aeaaa4f73ea45156e91efc62046844146e6a2' +
+  'a09301ecdc6ec15fb9ffd35558ca8ebfd353f88d8c71bc1c';
+
+check('CryptoTransfer with a fixed validStart', async () => {
+  const tx = await hederaTransaction.createHbarTransfer(TRANSFER);
+  assert.strictEqual(tx.transactionId, '0.0.1234@1700000000.123456789');
+  assert.strictEqual(tx.mirrorTransactionId, '0.0.1234-1700000000-123456789');
+  assert.strictEqual(bytesToHex(tx.bodyBytes), TRANSFER_BODY_HEX);
+  assert.strictEqual(bytesToHex(tx.signedTransactionBytes), TRANSFER_SIGNED_HEX);
+  assert.strictEqual(tx.hash, TRANSFER_HASH);
+
+  const publicKey = hederaTransaction.getPublicKey(TRANSFER.privateKey);
+  const signature = hederaTransaction.signTransaction(tx.bodyBytes, TRANSFER.privateKey).signature;
+  assert.ok(hederaTransaction.verifyDigest(keccak256(tx.bodyBytes), signature, publicKey));
+});
+
+check('decodeKey round trip', () => {
+  const ecdsa = '02' + 'aa'.repeat(32);
+  const ed25519 = 'cc'.repeat(32);
+  const keyList = keys => proto.messageField(6, [].concat(...keys.map(key => proto.messageField(1, key))));
+  const bytes = proto.messageField(5, [].concat(
+    proto.varintField(1, 2),
+    proto.messageField(2, [].concat(
+      proto.messageField(1, proto.bytesField(7, hexToBytes(ecdsa))),
+      proto.messageField(1, proto.bytesField(2, hexToBytes(ed25519))),
+      proto.messageField(1, keyList([
+        proto.messageField(1, proto.encodeEntityId('0.0.77'))
+      ]))
+    ))
+  ));
+
+  assert.deepStrictEqual(hederaTransaction.decodeKey(bytesToHex(bytes)), {
+    type: 'threshold',
+    threshold: 2,
+    keys: [
+      { type: 'ecdsaSecp256k1', key: ecdsa },
+      { type: 'ed25519', key: ed25519 },
+      { type: 'keyList', threshold: 1, keys: [{ type: 'contract', contractId: '0.0.77' }] }
+    ]
+  });
+});
+
+check('decodeSchedulableTransactionBody round trip', () => {
+  const accountAmount = (accountId, amount) =>
+    proto.messageField(1, [].concat(proto.messageField(1, proto.encodeAccountId(accountId)), proto.sint64Field(2, amount)));
+  const transfer = [].concat(
+    proto.varintField(1, 100000000),
+    proto.stringField(2, 'rent'),
+    proto.messageField(9, proto.messageField(1, [].concat(
+      accountAmount('0.0.1234', -250),
+      accountAmount('0.0.5678', 250)
+    )))
+  );
+  const decoded = hederaTransaction.decodeSchedulableTransactionBody(transfer);
+  assert.strictEqual(decoded.type, 'cryptoTransfer');
+  assert.strictEqual(decoded.transactionFee, 100000000n);
+  assert.strictEqual(decoded.memo, 'rent');
+  assert.deepStrictEqual(decoded.data.transfers.map(t => [t.accountId, t.amount]), [['0.0.1234', -250n], ['0.0.5678', 250n]]);
+
+  const message = [].concat(
+    proto.messageField(21, [].concat(
+      proto.messageField(1, proto.encodeEntityId('0.0.4242')),
+      proto.stringField(2, 'hello')
+    ))
+  );
+  const submit = hederaTransaction.decodeSchedulableTransactionBody(message);
+  assert.strictEqual(submit.type, 'consensusSubmitMessage');
+  assert.strictEqual(submit.data.topicId, '0.0.4242');
+  assert.strictEqual(Buffer.from(submit.data.message).toString('utf8'), 'hello');
+
+  assert.strictEqual(hederaTransaction.decodeSchedulableTransactionBody(proto.messageField(37, [])).type, 'cryptoApproveAllowance');
+});
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(error.stack.split('\n').map(line => '    ' + line).join('\n'));
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+})();